@@ -0,0 +1,29 @@
+// Lists the map definitions in public/maps so the game can load them.
+// Files are only parsed here; mapConfig.js validates the maps themselves.
+import { readdir, readFile } from "fs/promises";
+import path from "path";
+
+const MAPS_DIR = path.join(process.cwd(), "public", "maps");
+
+export async function GET() {
+  let files;
+  try {
+    files = (await readdir(MAPS_DIR)).filter((file) => file.endsWith(".json"));
+  } catch (e) {
+    // No maps folder means no custom maps
+    return Response.json([]);
+  }
+
+  const entries = await Promise.all(
+    files.sort().map(async (file) => {
+      try {
+        const text = await readFile(path.join(MAPS_DIR, file), "utf8");
+        return { file, map: JSON.parse(text) };
+      } catch (e) {
+        return { file, error: `Could not read the file: ${e.message}` };
+      }
+    })
+  );
+
+  return Response.json(entries);
+}
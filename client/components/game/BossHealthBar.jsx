@@ -0,0 +1,56 @@
+"use client";
+
+import React, { useEffect, useState } from "react";
+
+// Screen-wide health bar shown while a boss is alive
+const BossHealthBar = () => {
+  const [boss, setBoss] = useState(null);
+
+  useEffect(() => {
+    const handleBossSpawned = (event) => {
+      setBoss(event.detail);
+    };
+
+    const handleBossHealthUpdate = (event) => {
+      setBoss((prev) => (prev ? { ...prev, ...event.detail } : prev));
+    };
+
+    const handleBossEncounterEnded = () => {
+      setBoss(null);
+    };
+
+    document.addEventListener("bossSpawned", handleBossSpawned);
+    document.addEventListener("bossHealthUpdate", handleBossHealthUpdate);
+    document.addEventListener("bossEncounterEnded", handleBossEncounterEnded);
+
+    return () => {
+      document.removeEventListener("bossSpawned", handleBossSpawned);
+      document.removeEventListener("bossHealthUpdate", handleBossHealthUpdate);
+      document.removeEventListener(
+        "bossEncounterEnded",
+        handleBossEncounterEnded
+      );
+    };
+  }, []);
+
+  if (!boss) return null;
+
+  const healthPercent = Math.max(0, (boss.health / boss.maxHealth) * 100);
+
+  return (
+    <div className="boss-health-bar">
+      <div className="boss-health-label">
+        <span className="boss-name">{boss.name}</span>
+        <span className="boss-phase">{boss.phase}</span>
+      </div>
+      <div className="boss-health-track">
+        <div
+          className="boss-health-fill"
+          style={{ width: `${healthPercent}%` }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default BossHealthBar;
@@ -0,0 +1,93 @@
+"use client";
+
+import React, { useEffect, useState } from "react";
+import { useGameContext } from "./GameContext";
+import HighScoreTable from "./HighScoreTable";
+import audioManager from "@/lib/game/audioManager";
+
+// Results screen shown when a defense run ends
+const DefenseResults = () => {
+  const { setGameState } = useGameContext();
+  const [run, setRun] = useState(null);
+
+  useEffect(() => {
+    // Base destroyed: the run is over and the player heads back to the Grid
+    const handleGameOver = (event) => {
+      const { reason, results } = event.detail;
+      if (results) {
+        setRun({ reason, results, baseDestroyed: true });
+      }
+    };
+
+    // The player ended an endless run with the base still standing
+    const handleDefenseRunEnded = (event) => {
+      const { reason, results } = event.detail;
+      setRun({ reason, results, baseDestroyed: false });
+    };
+
+    document.addEventListener("gameOver", handleGameOver);
+    document.addEventListener("defenseRunEnded", handleDefenseRunEnded);
+
+    return () => {
+      document.removeEventListener("gameOver", handleGameOver);
+      document.removeEventListener("defenseRunEnded", handleDefenseRunEnded);
+    };
+  }, []);
+
+  if (!run) return null;
+
+  const { reason, results, baseDestroyed } = run;
+
+  const handleContinue = () => {
+    audioManager.playUI("click");
+    setRun(null);
+
+    if (baseDestroyed) {
+      setGameState("dungeon");
+    }
+  };
+
+  return (
+    <div className="defense-results">
+      <div className="defense-results-content">
+        <h2>{reason}</h2>
+        <p className="defense-results-map">
+          {results.mapName}
+          {results.endless ? " · Endless" : ""}
+        </p>
+
+        <div className="defense-results-stats">
+          <div>Waves survived: {results.wavesSurvived}</div>
+          <div>Enemies destroyed: {results.enemiesKilled}</div>
+          <div>Base health remaining: {results.baseHealthPercent}%</div>
+          <div>Cores used: {results.coresUsed}</div>
+        </div>
+
+        <div className="defense-results-score">SCORE {results.score}</div>
+        {results.rank && (
+          <div className="defense-results-rank">
+            New high score! Rank #{results.rank}
+          </div>
+        )}
+        {!results.endless && (
+          <p className="defense-results-note">
+            Turn on endless mode to record high scores.
+          </p>
+        )}
+
+        <h3>High Scores</h3>
+        <HighScoreTable mapId={results.mapId} highlightRank={results.rank} />
+
+        <button
+          className="core-button"
+          onClick={handleContinue}
+          onMouseEnter={() => audioManager.playUI("hover")}
+        >
+          {baseDestroyed ? "Return to the Grid" : "Continue"}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DefenseResults;
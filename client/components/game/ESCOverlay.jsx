@@ -3,6 +3,11 @@
 import { useState, useEffect, useRef } from "react";
 import Link from "next/link";
 import audioManager from "@/lib/game/audioManager";
+import {
+  getDifficulty,
+  getDifficultyLevels,
+  setDifficulty,
+} from "@/lib/game/difficultyConfig";
 
 const ESCOverlay = ({ isVisible, onClose }) => {
   // Stop mouse/keyboard events from reaching the game
@@ -55,6 +60,7 @@ const ESCOverlay = ({ isVisible, onClose }) => {
     audioManager.getMasterVolume() * 100
   );
   const [isMuted, setIsMuted] = useState(audioManager.isMuted());
+  const [difficulty, setDifficultyState] = useState(getDifficulty().id);
 
   // Handle volume changes
   const handleMusicVolumeChange = (e) => {
@@ -86,6 +92,12 @@ const ESCOverlay = ({ isVisible, onClose }) => {
     audioManager.playUI("click");
   };
 
+  const handleDifficultyChange = (e) => {
+    setDifficulty(e.target.value);
+    setDifficultyState(e.target.value);
+    audioManager.playUI("click");
+  };
+
   // Apply audio settings and close
   const handleResumeGame = () => {
     audioManager.playUI("click");
@@ -154,6 +166,17 @@ const ESCOverlay = ({ isVisible, onClose }) => {
             />
           </div>
 
+          <div className="setting-option">
+            <label>Difficulty</label>
+            <select value={difficulty} onChange={handleDifficultyChange}>
+              {getDifficultyLevels().map((level) => (
+                <option key={level.id} value={level.id}>
+                  {level.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
           <div className="setting-option">
             <label>Graphics Quality</label>
             <select defaultValue="medium">
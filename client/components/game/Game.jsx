@@ -4,10 +4,16 @@ import { useEffect, useState, useRef } from "react";
 import GameCanvas from "./GameCanvas";
 import GameEvents from "./GameEvents";
 import TowerPlacementMenu from "./TowerPlacementMenu";
+import TowerPanel from "./TowerPanel";
+import MainframePanel from "./MainframePanel";
 import WaveNotification from "./WaveNotification";
+import BossHealthBar from "./BossHealthBar";
+import GameControls from "./GameControls";
+import DefenseResults from "./DefenseResults";
 import Notification from "./Notification";
 import { useGameContext } from "./GameContext";
 import audioManager from "@/lib/game/audioManager";
+import { getActiveBoss } from "@/lib/game/bossSystem";
 import ESCOverlay from "./ESCOverlay";
 import CustomGameUI from "./CustomGameUI"; // Import our new UI component
 import "./CRTStyle.css";
@@ -85,7 +91,9 @@ const Game = () => {
     );
 
     // Resume music based on game state
-    if (gameState === "dungeon") {
+    if (getActiveBoss()) {
+      audioManager.playBossMusic();
+    } else if (gameState === "dungeon") {
       audioManager.playDungeonMusic();
     } else if (gameState === "defense") {
       audioManager.playDefenseMusic();
@@ -200,9 +208,24 @@ const Game = () => {
       {/* Tower placement menu for defense mode */}
       <TowerPlacementMenu sceneRef={sceneRef} />
 
+      {/* Upgrade panel for placed towers */}
+      <TowerPanel />
+
+      {/* Mainframe upgrades and repairs */}
+      <MainframePanel />
+
       {/* Wave notifications for defense mode */}
       <WaveNotification />
 
+      {/* Boss health bar during boss encounters */}
+      <BossHealthBar />
+
+      {/* Defense HUD bar: waves, endless mode and map selection */}
+      <GameControls />
+
+      {/* Score screen when a defense run ends */}
+      <DefenseResults />
+
       {/* Custom Game UI according to the new layout */}
       <CustomGameUI />
 
@@ -39,14 +39,13 @@ const GameCanvas = ({ sceneRef: externalSceneRef, escOverlayVisible }) => {
   const {
     gameState,
     setGameState,
-    capturedCores,
-    setCapturedCores,
     playerHealth,
     setPlayerHealth,
     inventory,
     setInventory,
     placedTurrets,
     setPlacedTurrets,
+    baseUpgrades,
   } = useGameContext();
 
   // Add state to track if pointer is locked
@@ -188,10 +187,6 @@ const GameCanvas = ({ sceneRef: externalSceneRef, escOverlayVisible }) => {
 
     window.addEventListener("resize", handleResize);
 
-    // Make captured cores available globally for the game modules
-    console.log("Initializing captured cores:", capturedCores);
-    window.capturedCores = capturedCores;
-
     // Initialize with dungeon mode
     startDungeonMode();
 
@@ -468,10 +463,8 @@ const GameCanvas = ({ sceneRef: externalSceneRef, escOverlayVisible }) => {
     if (!activeSceneRef.current) return;
 
     if (gameState === "dungeon" && defenseControllerRef.current) {
-      window.capturedCores = [...capturedCores];
       startDungeonMode();
     } else if (gameState === "defense" && dungeonControllerRef.current) {
-      window.capturedCores = [...capturedCores];
       startDefenseMode();
     }
 
@@ -483,12 +476,7 @@ const GameCanvas = ({ sceneRef: externalSceneRef, escOverlayVisible }) => {
         document.removeEventListener("click", handleDungeonClick);
       }
     };
-  }, [gameState, capturedCores]);
-
-  // Effect to update global cores when context changes
-  useEffect(() => {
-    window.capturedCores = [...capturedCores];
-  }, [capturedCores]);
+  }, [gameState]);
 
   // Setup effect to track placedTurrets for persistence
   useEffect(() => {
@@ -501,6 +489,16 @@ const GameCanvas = ({ sceneRef: externalSceneRef, escOverlayVisible }) => {
     }
   }, [placedTurrets]);
 
+  // Apply mainframe upgrades bought while defense mode is running
+  useEffect(() => {
+    if (
+      defenseControllerRef.current &&
+      defenseControllerRef.current.setBaseUpgrades
+    ) {
+      defenseControllerRef.current.setBaseUpgrades(baseUpgrades);
+    }
+  }, [baseUpgrades]);
+
   const handleDungeonClick = (e) => {
     // Skip if ESC menu is open
     if (escOverlayVisible || window.escMenuOpen) {
@@ -526,7 +524,6 @@ const GameCanvas = ({ sceneRef: externalSceneRef, escOverlayVisible }) => {
     if (!activeSceneRef.current || !rendererRef.current) return;
 
     console.log("Starting dungeon mode");
-    window.capturedCores = [...capturedCores];
 
     // Clean up defense mode first
     if (defenseControllerRef.current) {
@@ -557,7 +554,8 @@ const GameCanvas = ({ sceneRef: externalSceneRef, escOverlayVisible }) => {
     dungeonControllerRef.current = initDungeonMode(
       activeSceneRef.current,
       cameraRef.current,
-      rendererRef.current
+      rendererRef.current,
+      inventory // Keep scrap collected on earlier runs
     );
 
     // Update camera reference to the one from dungeon controller
@@ -648,7 +646,6 @@ const GameCanvas = ({ sceneRef: externalSceneRef, escOverlayVisible }) => {
   const startDefenseMode = () => {
     if (!activeSceneRef.current || !rendererRef.current) return;
 
-    window.capturedCores = [...capturedCores];
     // Properly dispose of pointer lock controls first
     disposePointerLockControls();
 
@@ -678,7 +675,8 @@ const GameCanvas = ({ sceneRef: externalSceneRef, escOverlayVisible }) => {
     defenseControllerRef.current = initDefenseMode(
       activeSceneRef.current,
       rendererRef.current,
-      placedTurrets // Pass the current turrets from React state
+      placedTurrets, // Pass the current turrets from React state
+      baseUpgrades
     );
 
     // Update camera reference to the one from defense controller
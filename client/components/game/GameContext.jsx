@@ -1,22 +1,22 @@
 "use client";
 
-import { createContext, useContext, useState, useEffect } from "react";
+import {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useMemo,
+  useCallback,
+} from "react";
 import { getDefaultMap, getAllMaps } from "@/lib/game/mapConfig";
-
-// Create a base AI core that players start with
-
-const BASE_AI_CORE = {
-  type: "Basic",
-  value: "power",
-  power: 1,
-};
+import { DEFAULT_BASE_UPGRADES } from "@/lib/game/mainframeConfig";
+import { useCoreLedger } from "@/lib/game/coreLedger";
 
 // Create context with default values
 const GameContext = createContext({
   gameState: "dungeon",
   setGameState: () => {},
-  capturedCores: [BASE_AI_CORE], // Start with a base core
-  setCapturedCores: () => {},
+  capturedCores: [], // Cores in the player's inventory, from the core ledger
   playerHealth: 100,
   setPlayerHealth: () => {},
   inventory: { total: 0, electronic: 0, metal: 0, energy: 0 },
@@ -27,13 +27,24 @@ const GameContext = createContext({
   setCurrentMap: () => {},
   unlockedMaps: [getDefaultMap().id], // Tracks which maps are unlocked
   setUnlockedMaps: () => {},
+  baseUpgrades: DEFAULT_BASE_UPGRADES, // Mainframe upgrade levels
+  setBaseUpgrades: () => {},
   purchaseMap: () => {}, // Function to purchase new maps
+  canAffordScrap: () => false, // Check a cost in specific scrap types
+  spendScrap: () => {}, // Spend specific scrap types
+  addScrap: () => {}, // Add specific scrap types
 });
 
 // Provider component
 export function GameProvider({ children }) {
   const [gameState, setGameState] = useState("dungeon");
-  const [capturedCores, setCapturedCores] = useState([BASE_AI_CORE]); // Start with base core
+  // Cores are owned by the core ledger; the game modules move them around
+  const coreInventory = useCoreLedger((state) => state.inventory);
+  const cores = useCoreLedger((state) => state.cores);
+  const capturedCores = useMemo(
+    () => coreInventory.map((coreId) => cores[coreId]),
+    [coreInventory, cores]
+  );
   const [playerHealth, setPlayerHealth] = useState(100);
   const [inventory, setInventory] = useState({
     total: 0,
@@ -46,6 +57,7 @@ export function GameProvider({ children }) {
   const [placedTurrets, setPlacedTurrets] = useState([]);
   const [currentMap, setCurrentMap] = useState(getDefaultMap());
   const [unlockedMaps, setUnlockedMaps] = useState([getDefaultMap().id]);
+  const [baseUpgrades, setBaseUpgrades] = useState(DEFAULT_BASE_UPGRADES);
 
   // Convert default unlocked maps in the config
   useEffect(() => {
@@ -148,12 +160,49 @@ export function GameProvider({ children }) {
     }
   };
 
+  // Check whether the player has enough of each scrap type, e.g. { metal: 5 }
+  const canAffordScrap = (cost) =>
+    Object.entries(cost).every(
+      ([scrapType, amount]) => (inventory[scrapType] || 0) >= amount
+    );
+
+  // Spend specific scrap types (used for tower upgrades)
+  const spendScrap = (cost) => {
+    if (!canAffordScrap(cost)) {
+      console.log("Not enough scrap for this purchase");
+      return false;
+    }
+
+    const newInventory = { ...inventory };
+    Object.entries(cost).forEach(([scrapType, amount]) => {
+      newInventory[scrapType] -= amount;
+    });
+    newInventory.total =
+      newInventory.electronic + newInventory.metal + newInventory.energy;
+
+    setInventory(newInventory);
+    return true;
+  };
+
+  // Add specific scrap types (e.g. refunds from selling towers). Kept stable
+  // so GameEvents can register its listeners once.
+  const addScrap = useCallback((amounts) => {
+    setInventory((prevInventory) => {
+      const newInventory = { ...prevInventory };
+      Object.entries(amounts).forEach(([scrapType, amount]) => {
+        newInventory[scrapType] = (newInventory[scrapType] || 0) + amount;
+      });
+      newInventory.total =
+        newInventory.electronic + newInventory.metal + newInventory.energy;
+      return newInventory;
+    });
+  }, []);
+
   // Values to be provided to consuming components
   const value = {
     gameState,
     setGameState,
     capturedCores,
-    setCapturedCores,
     playerHealth,
     setPlayerHealth,
     inventory,
@@ -164,7 +213,12 @@ export function GameProvider({ children }) {
     setCurrentMap,
     unlockedMaps,
     setUnlockedMaps,
+    baseUpgrades,
+    setBaseUpgrades,
     purchaseMap,
+    canAffordScrap,
+    spendScrap,
+    addScrap,
   };
 
   return <GameContext.Provider value={value}>{children}</GameContext.Provider>;
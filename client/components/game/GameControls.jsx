@@ -4,6 +4,8 @@ import { useGameContext } from "./GameContext";
 import { useState, useEffect } from "react";
 import audioManager from "@/lib/game/audioManager";
 import MapSelector from "./MapSelector";
+import { calculateScore } from "@/lib/game/highScores";
+import { TIME_SCALES, getTimeScale, setTimeScale } from "@/lib/game/gameClock";
 
 const GameControls = ({ showSettings }) => {
   const { gameState, setGameState } = useGameContext();
@@ -11,6 +13,9 @@ const GameControls = ({ showSettings }) => {
   const [currentWave, setCurrentWave] = useState(0);
   // New state to track if mode switching is allowed
   const [canSwitchMode, setCanSwitchMode] = useState(true);
+  const [endlessMode, setEndlessMode] = useState(false);
+  const [runScore, setRunScore] = useState(0);
+  const [timeScale, setTimeScaleState] = useState(getTimeScale());
 
   // Subscribe to wave updates
   useEffect(() => {
@@ -30,13 +35,51 @@ const GameControls = ({ showSettings }) => {
       setCanSwitchMode(true);
     };
 
+    // Keep the live run tally for the score readout
+    const handleUpdateDefenseUI = (event) => {
+      const { runStats, baseHealth, baseMaxHealth } = event.detail;
+      setRunScore(
+        calculateScore({
+          ...runStats,
+          baseHealthPercent: baseMaxHealth
+            ? (baseHealth / baseMaxHealth) * 100
+            : 0,
+        })
+      );
+    };
+
+    // Keep the speed buttons in sync with the game clock
+    const handleTimeScaleChanged = (event) => {
+      setTimeScaleState(event.detail.timeScale);
+    };
+
+    // A finished run starts again from wave 1
+    const handleRunEnded = () => {
+      setCurrentWave(0);
+      setCanSwitchMode(true);
+    };
+
+    // Losing the base also ends endless mode
+    const handleGameOver = () => {
+      handleRunEnded();
+      setEndlessMode(false);
+    };
+
     document.addEventListener("waveStarted", handleWaveStarted);
     document.addEventListener("waveComplete", handleWaveComplete);
     document.addEventListener("allRobotsDefeated", handleAllRobotsDefeated);
+    document.addEventListener("updateDefenseUI", handleUpdateDefenseUI);
+    document.addEventListener("defenseRunEnded", handleRunEnded);
+    document.addEventListener("gameOver", handleGameOver);
+    document.addEventListener("timeScaleChanged", handleTimeScaleChanged);
 
     return () => {
       document.removeEventListener("waveStarted", handleWaveStarted);
       document.removeEventListener("waveComplete", handleWaveComplete);
+      document.removeEventListener("updateDefenseUI", handleUpdateDefenseUI);
+      document.removeEventListener("defenseRunEnded", handleRunEnded);
+      document.removeEventListener("gameOver", handleGameOver);
+      document.removeEventListener("timeScaleChanged", handleTimeScaleChanged);
       document.removeEventListener(
         "allRobotsDefeated",
         handleAllRobotsDefeated
@@ -134,6 +177,34 @@ const GameControls = ({ showSettings }) => {
     }
   };
 
+  // Toggle endless mode; the defense module schedules the waves
+  const toggleEndlessMode = () => {
+    audioManager.playUI("click");
+    const enabled = !endlessMode;
+    setEndlessMode(enabled);
+    document.dispatchEvent(
+      new CustomEvent("setEndlessMode", { detail: { enabled } })
+    );
+  };
+
+  // Retire from the current run and bank its score
+  const endRun = () => {
+    audioManager.playUI("click");
+    document.dispatchEvent(new CustomEvent("endDefenseRun"));
+  };
+
+  // Pause or fast-forward the defense game clock
+  const changeTimeScale = (scale) => {
+    audioManager.playUI("click");
+    setTimeScale(scale);
+  };
+
+  // Open the mainframe upgrade panel
+  const openMainframePanel = () => {
+    audioManager.playUI("click");
+    document.dispatchEvent(new CustomEvent("showMainframePanel"));
+  };
+
   // Toggle map selector
   const toggleMapSelector = () => {
     audioManager.playUI("click");
@@ -150,8 +221,76 @@ const GameControls = ({ showSettings }) => {
     );
   };
 
+  if (gameState !== "defense") return null;
+
   return (
     <>
+      {/* Defense HUD bar */}
+      <div className="defense-controls">
+        <span className="defense-wave">WAVE {currentWave}</span>
+        {endlessMode && <span className="defense-score">SCORE {runScore}</span>}
+        <div className="defense-speed-controls">
+          {TIME_SCALES.map((scale) => (
+            <button
+              key={scale}
+              className={`defense-control-button ${
+                timeScale === scale ? "active" : ""
+              }`}
+              onClick={() => changeTimeScale(scale)}
+              onMouseEnter={() => audioManager.playUI("hover")}
+            >
+              {scale === 0 ? "Pause" : `${scale}x`}
+            </button>
+          ))}
+        </div>
+        <button
+          className="defense-control-button"
+          onClick={startNextWave}
+          disabled={!canSwitchMode}
+          onMouseEnter={() => audioManager.playUI("hover")}
+        >
+          Next Wave
+        </button>
+        <button
+          className={`defense-control-button ${endlessMode ? "active" : ""}`}
+          onClick={toggleEndlessMode}
+          onMouseEnter={() => audioManager.playUI("hover")}
+        >
+          Endless: {endlessMode ? "On" : "Off"}
+        </button>
+        {endlessMode && (
+          <button
+            className="defense-control-button"
+            onClick={endRun}
+            onMouseEnter={() => audioManager.playUI("hover")}
+          >
+            End Run
+          </button>
+        )}
+        <button
+          className="defense-control-button"
+          onClick={openMainframePanel}
+          onMouseEnter={() => audioManager.playUI("hover")}
+        >
+          Mainframe
+        </button>
+        <button
+          className="defense-control-button"
+          onClick={toggleMapSelector}
+          disabled={!canSwitchMode}
+          onMouseEnter={() => audioManager.playUI("hover")}
+        >
+          Maps
+        </button>
+        <button
+          className="defense-control-button"
+          onClick={switchToGridMode}
+          onMouseEnter={() => audioManager.playUI("hover")}
+        >
+          Enter the Grid
+        </button>
+      </div>
+
       {/* Map selector */}
       {showMapSelector && gameState === "defense" && (
         <MapSelector
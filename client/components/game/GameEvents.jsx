@@ -1,6 +1,6 @@
 "use client";
 
-import { useEffect } from "react";
+import { useEffect, useRef } from "react";
 import { useGameContext } from "./GameContext";
 import { useRouter } from "next/navigation";
 import audioManager from "@/lib/game/audioManager";
@@ -8,24 +8,27 @@ import audioManager from "@/lib/game/audioManager";
 const GameEvents = () => {
   const {
     setGameState,
-    setCapturedCores,
     setPlayerHealth,
     setInventory,
     setPlacedTurrets,
     placedTurrets,
     gameState,
+    addScrap,
   } = useGameContext();
 
   const router = useRouter();
 
+  // Listeners are registered once, so read the current mode through a ref
+  const gameStateRef = useRef(gameState);
+  gameStateRef.current = gameState;
+
   useEffect(() => {
     // Handle dungeon mode events
     const handleUpdateDungeonUI = (event) => {
-      const { health, inventory, cores } = event.detail;
+      const { health, inventory } = event.detail;
 
       if (health) setPlayerHealth(health);
       if (inventory) setInventory(inventory);
-      if (cores) setCapturedCores(cores);
     };
 
     const handleUpdateHealth = (event) => {
@@ -44,14 +47,9 @@ const GameEvents = () => {
       setInventory(event.detail.inventory);
     };
 
-    const handleRobotCaptured = (event) => {
-      const { cores } = event.detail;
-
-      // Play core collection sound
+    // The core is already in the core ledger; just play the pickup sound
+    const handleRobotCaptured = () => {
       audioManager.playCollectSound("core");
-
-      setCapturedCores(cores);
-      window.capturedCores = [...cores];
     };
 
     const handleAllRobotsDefeated = () => {
@@ -99,10 +97,6 @@ const GameEvents = () => {
       setPlayerHealth(health);
     };
 
-    const handleUpdateCores = (event) => {
-      setCapturedCores(event.detail);
-    };
-
     const handleUpdatePlacedTurrets = (event) => {
       setPlacedTurrets(event.detail);
     };
@@ -120,6 +114,27 @@ const GameEvents = () => {
       // Play wave complete sound
       audioManager.playGameSound("wave-complete");
 
+      // Collect the wave's scrap rewards
+      const { rewards } = event.detail;
+      if (rewards) {
+        addScrap(rewards.scrap);
+
+        const scrapSummary = Object.entries(rewards.scrap)
+          .filter(([, amount]) => amount > 0)
+          .map(([scrapType, amount]) => `+${amount} ${scrapType}`)
+          .join(", ");
+        document.dispatchEvent(
+          new CustomEvent("displayNotification", {
+            detail: {
+              message: rewards.perfect
+                ? `Perfect defense! Wave reward: ${scrapSummary}`
+                : `Wave reward: ${scrapSummary}`,
+              type: "success",
+            },
+          })
+        );
+      }
+
       // Display a notification that the player can now enter the Grid
       document.dispatchEvent(
         new CustomEvent("displayNotification", {
@@ -141,6 +156,9 @@ const GameEvents = () => {
       // Play game over sound
       audioManager.playGameSound("game-over");
 
+      // Defense runs show the results screen, which returns to the Grid itself
+      if (event.detail.results) return;
+
       alert(`Game Over! ${event.detail.reason}`);
 
       // After user acknowledges, switch back to grid mode
@@ -153,11 +171,8 @@ const GameEvents = () => {
     const handleReturnedCores = (event) => {
       const { returnedCores } = event.detail;
 
+      // The cores are already back in the inventory; just tell the player
       if (returnedCores && returnedCores.length > 0) {
-        // Add the returned cores to the existing cores
-        setCapturedCores((prevCores) => [...prevCores, ...returnedCores]);
-
-        // Show notification
         document.dispatchEvent(
           new CustomEvent("displayNotification", {
             detail: {
@@ -171,6 +186,23 @@ const GameEvents = () => {
 
     const handlePortalEntered = (event) => {};
 
+    // Boss encounters get their own music
+    const handleBossSpawned = () => {
+      audioManager.playBossMusic();
+    };
+
+    const handleBossEncounterEnded = (event) => {
+      if (event.detail.defeated) {
+        audioManager.playGameSound("wave-complete");
+      }
+
+      if (gameStateRef.current === "dungeon") {
+        audioManager.playDungeonMusic();
+      } else if (gameStateRef.current === "defense") {
+        audioManager.playDefenseMusic();
+      }
+    };
+
     // Register event listeners
     document.addEventListener("updateDungeonUI", handleUpdateDungeonUI);
     document.addEventListener("updateHealth", handleUpdateHealth);
@@ -179,7 +211,6 @@ const GameEvents = () => {
     document.addEventListener("allRobotsDefeated", handleAllRobotsDefeated);
     document.addEventListener("updateDefenseUI", handleUpdateDefenseUI);
     document.addEventListener("updateBaseHealth", handleUpdateBaseHealth);
-    document.addEventListener("updateCores", handleUpdateCores);
     document.addEventListener("updatePlacedTurrets", handleUpdatePlacedTurrets);
     document.addEventListener("waveStarted", handleWaveStarted);
     document.addEventListener("waveComplete", handleWaveComplete);
@@ -187,6 +218,8 @@ const GameEvents = () => {
     document.addEventListener("gameOver", handleGameOver);
     document.addEventListener("returnedCores", handleReturnedCores);
     document.addEventListener("portalEntered", handlePortalEntered);
+    document.addEventListener("bossSpawned", handleBossSpawned);
+    document.addEventListener("bossEncounterEnded", handleBossEncounterEnded);
 
     // Clean up event listeners
     return () => {
@@ -200,7 +233,6 @@ const GameEvents = () => {
       );
       document.removeEventListener("updateDefenseUI", handleUpdateDefenseUI);
       document.removeEventListener("updateBaseHealth", handleUpdateBaseHealth);
-      document.removeEventListener("updateCores", handleUpdateCores);
       document.removeEventListener(
         "updatePlacedTurrets",
         handleUpdatePlacedTurrets
@@ -211,14 +243,13 @@ const GameEvents = () => {
       document.removeEventListener("gameOver", handleGameOver);
       document.removeEventListener("returnedCores", handleReturnedCores);
       document.removeEventListener("portalEntered", handlePortalEntered);
+      document.removeEventListener("bossSpawned", handleBossSpawned);
+      document.removeEventListener(
+        "bossEncounterEnded",
+        handleBossEncounterEnded
+      );
     };
-  }, [
-    setGameState,
-    setCapturedCores,
-    setPlayerHealth,
-    setInventory,
-    setPlacedTurrets,
-  ]);
+  }, [setGameState, setPlayerHealth, setInventory, setPlacedTurrets, addScrap]);
 
   // This component doesn't render anything
   return null;
@@ -0,0 +1,47 @@
+"use client";
+
+import React from "react";
+import { getHighScores } from "@/lib/game/highScores";
+
+// Endless mode high scores for one map
+const HighScoreTable = ({ mapId, highlightRank = null }) => {
+  const scores = getHighScores(mapId);
+
+  if (scores.length === 0) {
+    return <p className="high-scores-empty">No endless runs recorded yet.</p>;
+  }
+
+  return (
+    <table className="high-score-table">
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>Score</th>
+          <th>Waves</th>
+          <th>Kills</th>
+          <th>Base</th>
+          <th>Cores</th>
+          <th>Date</th>
+        </tr>
+      </thead>
+      <tbody>
+        {scores.map((entry, index) => (
+          <tr
+            key={entry.date}
+            className={highlightRank === index + 1 ? "highlight" : ""}
+          >
+            <td>{index + 1}</td>
+            <td>{entry.score}</td>
+            <td>{entry.wavesSurvived}</td>
+            <td>{entry.enemiesKilled}</td>
+            <td>{entry.baseHealthPercent}%</td>
+            <td>{entry.coresUsed}</td>
+            <td>{new Date(entry.date).toLocaleDateString()}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default HighScoreTable;
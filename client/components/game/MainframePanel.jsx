@@ -0,0 +1,285 @@
+"use client";
+
+import React, { useEffect, useState } from "react";
+import { useGameContext } from "./GameContext";
+import { getBaseInfo, repairBase } from "@/lib/game/defenseMode";
+import {
+  getBaseUpgrades,
+  getNextBaseUpgradeLevel,
+  REPAIR_ACTION,
+} from "@/lib/game/mainframeConfig";
+import {
+  getCoreLabel,
+  getCoreTraitsDescription,
+  getFusionError,
+  getFusionResult,
+  FUSION_CORE_COUNTS,
+  FUSION_COST,
+} from "@/lib/game/coreConfig";
+import { fuseInventoryCores } from "@/lib/game/coreLedger";
+import audioManager from "@/lib/game/audioManager";
+
+// Format a scrap cost like "8 metal, 4 electronic"
+const formatCost = (cost) =>
+  Object.entries(cost)
+    .map(([scrapType, amount]) => `${amount} ${scrapType}`)
+    .join(", ");
+
+// Upgrade screen for the mainframe (defense base)
+const MainframePanel = () => {
+  const {
+    gameState,
+    baseUpgrades,
+    setBaseUpgrades,
+    capturedCores,
+    canAffordScrap,
+    spendScrap,
+  } = useGameContext();
+  const [isOpen, setIsOpen] = useState(false);
+  const [base, setBase] = useState(null);
+  const [fusionIds, setFusionIds] = useState([]); // IDs of the cores picked for fusion
+
+  // Open from the HUD bar or by clicking the base; keep the readout live
+  useEffect(() => {
+    const handleShowMainframePanel = () => {
+      setBase(getBaseInfo());
+      setIsOpen(true);
+    };
+
+    const handleBaseChanged = () => {
+      setBase(getBaseInfo());
+    };
+
+    document.addEventListener("showMainframePanel", handleShowMainframePanel);
+    document.addEventListener("updateBaseHealth", handleBaseChanged);
+    document.addEventListener("waveStarted", handleBaseChanged);
+    document.addEventListener("waveComplete", handleBaseChanged);
+
+    return () => {
+      document.removeEventListener(
+        "showMainframePanel",
+        handleShowMainframePanel
+      );
+      document.removeEventListener("updateBaseHealth", handleBaseChanged);
+      document.removeEventListener("waveStarted", handleBaseChanged);
+      document.removeEventListener("waveComplete", handleBaseChanged);
+    };
+  }, []);
+
+  // Close the panel when leaving defense mode
+  useEffect(() => {
+    if (gameState !== "defense") {
+      setIsOpen(false);
+    }
+  }, [gameState]);
+
+  // Drop picks for cores that were built into towers since
+  useEffect(() => {
+    setFusionIds((ids) =>
+      ids.filter((id) => capturedCores.some((core) => core.id === id))
+    );
+  }, [capturedCores]);
+
+  // Buy the next level of an upgrade; the defense module applies it
+  const handleUpgrade = (upgradeId) => {
+    const level = baseUpgrades[upgradeId] || 0;
+    const nextLevel = getNextBaseUpgradeLevel(upgradeId, level);
+    if (!nextLevel || base.destroyed || !spendScrap(nextLevel.cost)) {
+      audioManager.playUI("back");
+      return;
+    }
+
+    audioManager.playUI("click");
+    setBaseUpgrades({ ...baseUpgrades, [upgradeId]: level + 1 });
+  };
+
+  // Emergency repair, only while no wave is running
+  const handleRepair = () => {
+    if (!canAffordScrap(REPAIR_ACTION.cost) || !repairBase()) {
+      audioManager.playUI("back");
+      return;
+    }
+
+    spendScrap(REPAIR_ACTION.cost);
+    audioManager.playUI("click");
+  };
+
+  // Pick or drop a core for fusion, up to the most cores fused at once
+  const handleToggleFusionCore = (coreId) => {
+    audioManager.playUI("click");
+    if (fusionIds.includes(coreId)) {
+      setFusionIds(fusionIds.filter((other) => other !== coreId));
+    } else if (fusionIds.length < Math.max(...FUSION_CORE_COUNTS)) {
+      setFusionIds([...fusionIds, coreId]);
+    }
+  };
+
+  const fusionCores = fusionIds
+    .map((coreId) => capturedCores.find((core) => core.id === coreId))
+    .filter(Boolean);
+
+  // Merge the picked cores into one stronger core
+  const handleFuse = () => {
+    if (getFusionError(fusionCores) || !spendScrap(FUSION_COST)) {
+      audioManager.playUI("back");
+      return;
+    }
+
+    // The ledger swaps the picked cores for the fused one
+    const { core: fusedCore } = fuseInventoryCores(fusionIds);
+    audioManager.playUI("click");
+    setFusionIds([]);
+
+    document.dispatchEvent(
+      new CustomEvent("displayNotification", {
+        detail: {
+          message: `Fusion complete: ${getCoreLabel(fusedCore)}`,
+          type: "success",
+        },
+      })
+    );
+  };
+
+  const handleClose = () => {
+    audioManager.playUI("back");
+    setIsOpen(false);
+  };
+
+  if (!isOpen || !base) return null;
+
+  const canRepair =
+    !base.destroyed &&
+    !base.waveInProgress &&
+    base.health < base.maxHealth &&
+    canAffordScrap(REPAIR_ACTION.cost);
+
+  const fusionError = getFusionError(fusionCores);
+  const fusionResult = fusionError ? null : getFusionResult(fusionCores);
+
+  return (
+    <div className="tower-panel mainframe-panel">
+      <h3>Mainframe</h3>
+
+      <div className="tower-panel-core">
+        Health: {Math.ceil(base.health)} / {base.maxHealth}
+      </div>
+      {base.shieldMax > 0 && (
+        <div className="tower-panel-core">
+          Shield: {Math.floor(base.shield)} / {base.shieldMax}
+        </div>
+      )}
+      {base.pointDefense && (
+        <div className="tower-stats">
+          Point defense: {base.pointDefense.damage} damage |{" "}
+          {base.pointDefense.fireRate}/s | Range {base.pointDefense.range}
+        </div>
+      )}
+
+      {base.destroyed && (
+        <div className="tower-type-description">
+          The mainframe is destroyed, so it cannot be upgraded or repaired.
+        </div>
+      )}
+
+      <div className="tower-upgrades">
+        {getBaseUpgrades().map((upgrade) => {
+          const level = baseUpgrades[upgrade.id] || 0;
+          const nextLevel = getNextBaseUpgradeLevel(upgrade.id, level);
+
+          return (
+            <div
+              key={upgrade.id}
+              className={`tower-upgrade ${nextLevel ? "next" : "owned"}`}
+            >
+              <strong>
+                {upgrade.name} ({level}/{upgrade.levels.length})
+              </strong>
+              <div className="tower-type-description">
+                {upgrade.description}
+              </div>
+              {nextLevel ? (
+                <button
+                  className="core-button"
+                  onClick={() => handleUpgrade(upgrade.id)}
+                  onMouseEnter={() => audioManager.playUI("hover")}
+                  disabled={base.destroyed || !canAffordScrap(nextLevel.cost)}
+                >
+                  Upgrade ({formatCost(nextLevel.cost)})
+                </button>
+              ) : (
+                <div className="tower-upgrade-max">Fully upgraded</div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <button
+        className="core-button build-tower-button"
+        onClick={handleRepair}
+        onMouseEnter={() => audioManager.playUI("hover")}
+        disabled={!canRepair}
+      >
+        Emergency Repair ({formatCost(REPAIR_ACTION.cost)})
+      </button>
+      {base.waveInProgress && (
+        <div className="tower-type-description">
+          Repairs are only possible between waves.
+        </div>
+      )}
+
+      <div className="core-fusion">
+        <strong>Core Fusion</strong>
+        <div className="tower-type-description">
+          Merge {FUSION_CORE_COUNTS.join(" or ")} cores with the same value into
+          a stronger one. Fusing three also raises the rarity.
+        </div>
+        <div className="cores-list">
+          {capturedCores.length === 0 && (
+            <div className="tower-type-description">No spare AI cores</div>
+          )}
+          {capturedCores.map((core) => (
+            <button
+              key={core.id}
+              className={`core-button ${
+                fusionIds.includes(core.id) ? "selected" : ""
+              }`}
+              onClick={() => handleToggleFusionCore(core.id)}
+              onMouseEnter={() => audioManager.playUI("hover")}
+            >
+              {getCoreLabel(core)}
+              {getCoreTraitsDescription(core) && (
+                <div className="tower-type-description">
+                  {getCoreTraitsDescription(core)}
+                </div>
+              )}
+            </button>
+          ))}
+        </div>
+        <div className="tower-stats">
+          {fusionResult
+            ? `Result: ${fusionResult.rarity.name} core, power ${fusionResult.power}`
+            : fusionError}
+        </div>
+        <button
+          className="core-button build-tower-button"
+          onClick={handleFuse}
+          onMouseEnter={() => audioManager.playUI("hover")}
+          disabled={!fusionResult || !canAffordScrap(FUSION_COST)}
+        >
+          Fuse Cores ({formatCost(FUSION_COST)})
+        </button>
+      </div>
+
+      <button
+        className="cancel-button"
+        onClick={handleClose}
+        onMouseEnter={() => audioManager.playUI("hover")}
+      >
+        Close
+      </button>
+    </div>
+  );
+};
+
+export default MainframePanel;
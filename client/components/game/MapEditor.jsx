@@ -0,0 +1,636 @@
+"use client";
+
+import React, { useMemo, useRef, useState } from "react";
+import {
+  BUILD_GRID,
+  validateMap,
+  isProtectedMapId,
+  addCustomMap,
+  saveStoredMap,
+} from "@/lib/game/mapConfig";
+import audioManager from "@/lib/game/audioManager";
+
+const HALF_SIZE = BUILD_GRID.size / 2;
+const BASE_SIZE = 5; // Matches the base box built in defense mode
+
+const TOOLS = [
+  { id: "path", name: "Path" },
+  { id: "tower", name: "Tower Spot" },
+  { id: "spawn", name: "Spawn" },
+  { id: "base", name: "Base" },
+  { id: "erase", name: "Erase" },
+];
+
+const EMPTY_MAP = {
+  id: "my-map",
+  name: "My Map",
+  description: "",
+  price: 0,
+  previewColor: "#4d9aff",
+  freeBuild: false,
+};
+
+// Snap a point to whole units and keep it on the 50x50 plane
+const snapPoint = (x, z) => ({
+  x: Math.max(-HALF_SIZE, Math.min(HALF_SIZE, Math.round(x))),
+  z: Math.max(-HALF_SIZE, Math.min(HALF_SIZE, Math.round(z))),
+});
+
+const isSamePoint = (a, b) => a.x === b.x && a.z === b.z;
+
+// Editor paths are waypoint lists; maps store them as start/end segments
+const routesToSegments = (routes) =>
+  routes.flatMap((route) =>
+    route.slice(1).map((end, index) => ({ start: route[index], end }))
+  );
+
+const isPoint = (point) =>
+  Boolean(point) && Number.isFinite(point.x) && Number.isFinite(point.z);
+
+// Problems that would stop the editor from showing an imported map. Anything
+// else, like a missing spawn point, loads and is listed for the player to fix.
+const getImportErrors = (imported) => {
+  const errors = [];
+  const checkList = (list, isValid, error) => {
+    if (list !== undefined && !(Array.isArray(list) && list.every(isValid))) {
+      errors.push(error);
+    }
+  };
+
+  checkList(
+    imported.paths,
+    (segment) => segment && isPoint(segment.start) && isPoint(segment.end),
+    "Paths must be a list of segments with start and end points."
+  );
+  checkList(
+    imported.towerSpots,
+    isPoint,
+    "Tower spots must be a list of points with x and z numbers."
+  );
+  checkList(
+    imported.spawnPoints,
+    isPoint,
+    "Spawn points must be a list of points with x and z numbers."
+  );
+  if (imported.basePosition !== undefined && !isPoint(imported.basePosition)) {
+    errors.push("The base needs x and z numbers.");
+  }
+  return errors;
+};
+
+// Join segments back into waypoint lists wherever one ends where the next starts
+const segmentsToRoutes = (segments = []) => {
+  const routes = [];
+  segments.forEach(({ start, end }) => {
+    const route = routes[routes.length - 1];
+    if (route && isSamePoint(route[route.length - 1], start)) {
+      route.push({ x: end.x, z: end.z });
+    } else {
+      routes.push([
+        { x: start.x, z: start.z },
+        { x: end.x, z: end.z },
+      ]);
+    }
+  });
+  return routes;
+};
+
+// Editor screen for building defense maps on the 50x50 plane
+const MapEditor = ({ onTestMap, onClose }) => {
+  const svgRef = useRef(null);
+  const [details, setDetails] = useState(EMPTY_MAP);
+  const [routes, setRoutes] = useState([[]]);
+  const [activeRoute, setActiveRoute] = useState(0);
+  const [towerSpots, setTowerSpots] = useState([]);
+  const [spawnPoints, setSpawnPoints] = useState([]);
+  const [basePosition, setBasePosition] = useState({ x: 0, z: 0 });
+  const [extras, setExtras] = useState({}); // Waves and rewards from imports
+  const [tool, setTool] = useState("path");
+  const [dragging, setDragging] = useState(null);
+  const [json, setJson] = useState("");
+  const [message, setMessage] = useState("");
+
+  // The map in the same shape getMapById returns
+  const map = useMemo(
+    () => ({
+      ...extras,
+      ...details,
+      price: Number(details.price),
+      unlocked: false,
+      paths: routesToSegments(routes),
+      towerSpots,
+      spawnPoints,
+      basePosition,
+    }),
+    [extras, details, routes, towerSpots, spawnPoints, basePosition]
+  );
+  const errors = useMemo(() => {
+    const problems = validateMap(map);
+    if (isProtectedMapId(map.id)) {
+      problems.push(
+        `The ID "${map.id}" belongs to a built-in map or map file. Change the map ID.`
+      );
+    }
+    return problems;
+  }, [map]);
+
+  // Convert a mouse position to plane coordinates
+  const getPlanePoint = (event) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    const { x, y } = point.matrixTransform(svg.getScreenCTM().inverse());
+    return snapPoint(x, y);
+  };
+
+  // Replace one item in a list
+  const replaceAt = (list, index, value) =>
+    list.map((item, i) => (i === index ? value : item));
+
+  // Clicking the plane adds whatever the current tool places
+  const handlePlaneMouseDown = (event) => {
+    const point = getPlanePoint(event);
+
+    switch (tool) {
+      case "path":
+        setRoutes((current) =>
+          replaceAt(current, activeRoute, [...current[activeRoute], point])
+        );
+        break;
+      case "tower":
+        setTowerSpots((current) => [...current, point]);
+        break;
+      case "spawn":
+        setSpawnPoints((current) => [...current, point]);
+        break;
+      case "base":
+        setBasePosition(point);
+        break;
+      default:
+        return;
+    }
+    audioManager.playUI("click");
+  };
+
+  // Grab an item to drag it, or remove it with the erase tool
+  const handleItemMouseDown = (event, item) => {
+    event.stopPropagation();
+
+    if (tool !== "erase") {
+      if (item.kind === "waypoint") {
+        setActiveRoute(item.routeIndex);
+      }
+      setDragging(item);
+      return;
+    }
+
+    audioManager.playUI("back");
+    switch (item.kind) {
+      case "waypoint":
+        setRoutes((current) =>
+          replaceAt(
+            current,
+            item.routeIndex,
+            current[item.routeIndex].filter((_, i) => i !== item.index)
+          )
+        );
+        break;
+      case "tower":
+        setTowerSpots((current) => current.filter((_, i) => i !== item.index));
+        break;
+      case "spawn":
+        setSpawnPoints((current) => current.filter((_, i) => i !== item.index));
+        break;
+      default:
+        break;
+    }
+  };
+
+  // Move the dragged item with the mouse
+  const handleMouseMove = (event) => {
+    if (!dragging) return;
+    const point = getPlanePoint(event);
+
+    switch (dragging.kind) {
+      case "waypoint":
+        setRoutes((current) =>
+          replaceAt(
+            current,
+            dragging.routeIndex,
+            replaceAt(current[dragging.routeIndex], dragging.index, point)
+          )
+        );
+        break;
+      case "tower":
+        setTowerSpots((current) => replaceAt(current, dragging.index, point));
+        break;
+      case "spawn":
+        setSpawnPoints((current) => replaceAt(current, dragging.index, point));
+        break;
+      case "base":
+        setBasePosition(point);
+        break;
+      default:
+        break;
+    }
+  };
+
+  // Start another path; waypoints are added to it from now on
+  const handleNewPath = () => {
+    audioManager.playUI("click");
+    setRoutes((current) => [...current.filter((r) => r.length > 0), []]);
+    setActiveRoute(routes.filter((r) => r.length > 0).length);
+    setTool("path");
+  };
+
+  const handleDetailChange = (field, value) => {
+    setDetails((current) => ({ ...current, [field]: value }));
+  };
+
+  // Show the map as JSON and copy it to the clipboard
+  const handleExport = () => {
+    audioManager.playUI("click");
+    const text = JSON.stringify(map, null, 2);
+    setJson(text);
+
+    if (navigator.clipboard) {
+      navigator.clipboard
+        .writeText(text)
+        .then(() => setMessage("Map JSON copied to the clipboard."))
+        .catch(() => setMessage("Map JSON exported below."));
+    } else {
+      setMessage("Map JSON exported below.");
+    }
+  };
+
+  // Save the map JSON as a file
+  const handleDownload = () => {
+    audioManager.playUI("click");
+    const blob = new Blob([JSON.stringify(map, null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${map.id || "map"}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Load a map from JSON text
+  const loadMap = (text) => {
+    let imported;
+    try {
+      imported = JSON.parse(text);
+    } catch (e) {
+      audioManager.playUI("back");
+      setMessage(`Could not read the JSON: ${e.message}`);
+      return;
+    }
+    if (!imported || typeof imported !== "object" || Array.isArray(imported)) {
+      audioManager.playUI("back");
+      setMessage("The JSON must describe a single map object.");
+      return;
+    }
+    const importErrors = getImportErrors(imported);
+    if (importErrors.length > 0) {
+      audioManager.playUI("back");
+      setMessage(importErrors.join(" "));
+      return;
+    }
+
+    const {
+      id,
+      name,
+      description,
+      price,
+      previewColor,
+      freeBuild,
+      paths,
+      towerSpots: importedSpots,
+      spawnPoints: importedSpawns,
+      basePosition: importedBase,
+      unlocked,
+      ...rest
+    } = imported;
+
+    setDetails({
+      id: id || EMPTY_MAP.id,
+      name: name || "",
+      description: description || "",
+      price: price ?? 0,
+      previewColor: previewColor || EMPTY_MAP.previewColor,
+      freeBuild: Boolean(freeBuild),
+    });
+    const importedRoutes = segmentsToRoutes(paths);
+    setRoutes(importedRoutes.length > 0 ? importedRoutes : [[]]);
+    setActiveRoute(0);
+    setTowerSpots(importedSpots || []);
+    setSpawnPoints(importedSpawns || []);
+    setBasePosition(importedBase || { x: 0, z: 0 });
+    setExtras(rest);
+    setJson(text);
+
+    audioManager.playUI("click");
+    setMessage(`Loaded ${name || id || "map"}.`);
+  };
+
+  // Read a map from a JSON file
+  const handleImportFile = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    file.text().then(loadMap);
+    event.target.value = "";
+  };
+
+  // Register the map and switch defense mode to it
+  const handleTestMap = () => {
+    if (errors.length > 0) {
+      audioManager.playUI("back");
+      return;
+    }
+
+    if (!addCustomMap(map)) {
+      audioManager.playUI("back");
+      setMessage(
+        "Built-in maps and map files can't be replaced. Change the map ID."
+      );
+      return;
+    }
+
+    audioManager.playUI("click");
+    onTestMap(map);
+  };
+
+  // Keep the map in this browser so it shows up in the map selector
+  const handleSaveMap = () => {
+    const saveErrors = saveStoredMap(map);
+    if (saveErrors.length > 0) {
+      audioManager.playUI("back");
+      setMessage(saveErrors.join(" "));
+      return;
+    }
+
+    audioManager.playUI("click");
+    setMessage(`Saved ${map.name} in this browser.`);
+  };
+
+  const handleClose = () => {
+    audioManager.playUI("back");
+    onClose();
+  };
+
+  // Grid lines matching the 2-unit grid drawn in defense mode
+  const gridLines = [];
+  for (let v = -HALF_SIZE; v <= HALF_SIZE; v += BUILD_GRID.cellSize) {
+    gridLines.push(
+      <line key={`x${v}`} x1={v} y1={-HALF_SIZE} x2={v} y2={HALF_SIZE} />,
+      <line key={`z${v}`} x1={-HALF_SIZE} y1={v} x2={HALF_SIZE} y2={v} />
+    );
+  }
+
+  return (
+    <div className="map-editor">
+      <div className="map-editor-canvas">
+        <svg
+          ref={svgRef}
+          viewBox={`${-HALF_SIZE} ${-HALF_SIZE} ${BUILD_GRID.size} ${
+            BUILD_GRID.size
+          }`}
+          onMouseMove={handleMouseMove}
+          onMouseUp={() => setDragging(null)}
+          onMouseLeave={() => setDragging(null)}
+        >
+          <rect
+            className="map-editor-plane"
+            x={-HALF_SIZE}
+            y={-HALF_SIZE}
+            width={BUILD_GRID.size}
+            height={BUILD_GRID.size}
+            onMouseDown={handlePlaneMouseDown}
+          />
+          <g className="map-editor-grid">{gridLines}</g>
+
+          {routes.map((route, routeIndex) => (
+            <g key={`route${routeIndex}`}>
+              <polyline
+                className={`map-editor-path ${
+                  routeIndex === activeRoute ? "active" : ""
+                }`}
+                points={route.map((p) => `${p.x},${p.z}`).join(" ")}
+              />
+              {route.map((point, index) => (
+                <circle
+                  key={index}
+                  className="map-editor-waypoint"
+                  cx={point.x}
+                  cy={point.z}
+                  r={0.6}
+                  onMouseDown={(e) =>
+                    handleItemMouseDown(e, {
+                      kind: "waypoint",
+                      routeIndex,
+                      index,
+                    })
+                  }
+                />
+              ))}
+            </g>
+          ))}
+
+          {towerSpots.map((spot, index) => (
+            <circle
+              key={`tower${index}`}
+              className="map-editor-tower"
+              cx={spot.x}
+              cy={spot.z}
+              r={1}
+              onMouseDown={(e) =>
+                handleItemMouseDown(e, { kind: "tower", index })
+              }
+            />
+          ))}
+
+          {spawnPoints.map((spawn, index) => (
+            <g
+              key={`spawn${index}`}
+              className="map-editor-spawn"
+              onMouseDown={(e) =>
+                handleItemMouseDown(e, { kind: "spawn", index })
+              }
+            >
+              <circle cx={spawn.x} cy={spawn.z} r={1.2} />
+              <text x={spawn.x} y={spawn.z + 0.6}>
+                {index + 1}
+              </text>
+            </g>
+          ))}
+
+          <rect
+            className="map-editor-base"
+            x={basePosition.x - BASE_SIZE / 2}
+            y={basePosition.z - BASE_SIZE / 2}
+            width={BASE_SIZE}
+            height={BASE_SIZE}
+            onMouseDown={(e) => handleItemMouseDown(e, { kind: "base" })}
+          />
+        </svg>
+      </div>
+
+      <div className="map-editor-sidebar">
+        <h2>Map Editor</h2>
+
+        <div className="map-editor-tools">
+          {TOOLS.map((t) => (
+            <button
+              key={t.id}
+              className={`defense-control-button ${
+                tool === t.id ? "active" : ""
+              }`}
+              onClick={() => setTool(t.id)}
+              onMouseEnter={() => audioManager.playUI("hover")}
+            >
+              {t.name}
+            </button>
+          ))}
+          <button
+            className="defense-control-button"
+            onClick={handleNewPath}
+            onMouseEnter={() => audioManager.playUI("hover")}
+          >
+            New Path
+          </button>
+        </div>
+
+        <label className="map-editor-field">
+          ID
+          <input
+            value={details.id}
+            onChange={(e) => handleDetailChange("id", e.target.value)}
+          />
+        </label>
+        <label className="map-editor-field">
+          Name
+          <input
+            value={details.name}
+            onChange={(e) => handleDetailChange("name", e.target.value)}
+          />
+        </label>
+        <label className="map-editor-field">
+          Description
+          <input
+            value={details.description}
+            onChange={(e) => handleDetailChange("description", e.target.value)}
+          />
+        </label>
+        <label className="map-editor-field">
+          Price
+          <input
+            type="number"
+            min="0"
+            value={details.price}
+            onChange={(e) => handleDetailChange("price", e.target.value)}
+          />
+        </label>
+        <label className="map-editor-field">
+          Preview color
+          <input
+            type="color"
+            value={details.previewColor}
+            onChange={(e) => handleDetailChange("previewColor", e.target.value)}
+          />
+        </label>
+        <label className="map-editor-field map-editor-checkbox">
+          <input
+            type="checkbox"
+            checked={details.freeBuild}
+            onChange={(e) => handleDetailChange("freeBuild", e.target.checked)}
+          />
+          Free build (no paths or tower spots)
+        </label>
+
+        {errors.length > 0 ? (
+          <ul className="map-editor-errors">
+            {errors.map((error) => (
+              <li key={error}>{error}</li>
+            ))}
+          </ul>
+        ) : (
+          <div className="map-editor-valid">Map is valid.</div>
+        )}
+
+        {message && <div className="map-editor-message">{message}</div>}
+
+        <textarea
+          className="map-editor-json"
+          value={json}
+          onChange={(e) => setJson(e.target.value)}
+          placeholder="Paste map JSON here to import it"
+        />
+
+        <div className="map-editor-actions">
+          <button
+            className="core-button"
+            onClick={handleExport}
+            onMouseEnter={() => audioManager.playUI("hover")}
+          >
+            Export JSON
+          </button>
+          <button
+            className="core-button"
+            onClick={handleDownload}
+            onMouseEnter={() => audioManager.playUI("hover")}
+          >
+            Download
+          </button>
+          <button
+            className="core-button"
+            onClick={() => loadMap(json)}
+            disabled={!json}
+            onMouseEnter={() => audioManager.playUI("hover")}
+          >
+            Import JSON
+          </button>
+          <label className="core-button map-editor-file">
+            Import File
+            <input
+              type="file"
+              accept=".json,application/json"
+              onChange={handleImportFile}
+            />
+          </label>
+          <button
+            className="core-button"
+            onClick={handleSaveMap}
+            disabled={errors.length > 0}
+            onMouseEnter={() => audioManager.playUI("hover")}
+          >
+            Save to Browser
+          </button>
+        </div>
+
+        <div className="map-selector-actions">
+          <button
+            className="apply-button"
+            onClick={handleTestMap}
+            disabled={errors.length > 0}
+            onMouseEnter={() => audioManager.playUI("hover")}
+          >
+            Test Map
+          </button>
+          <button
+            className="cancel-button"
+            onClick={handleClose}
+            onMouseEnter={() => audioManager.playUI("hover")}
+          >
+            Back
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MapEditor;
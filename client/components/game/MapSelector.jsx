@@ -2,21 +2,58 @@
 
 import React, { useState, useEffect } from "react";
 import { useGameContext } from "./GameContext";
-import { getAllMaps, getMapById } from "@/lib/game/mapConfig";
+import {
+  getAllMaps,
+  getMapById,
+  loadCustomMaps,
+  isStoredMap,
+  removeStoredMap,
+} from "@/lib/game/mapConfig";
 import audioManager from "@/lib/game/audioManager";
+import HighScoreTable from "./HighScoreTable";
+import MapEditor from "./MapEditor";
 
 const MapSelector = ({ onMapSelected, onClose }) => {
-  const { inventory, unlockedMaps, purchaseMap, currentMap, setCurrentMap } =
-    useGameContext();
+  const {
+    inventory,
+    unlockedMaps,
+    setUnlockedMaps,
+    purchaseMap,
+    currentMap,
+    setCurrentMap,
+  } = useGameContext();
 
   const [maps, setMaps] = useState([]);
   const [selectedMapId, setSelectedMapId] = useState(currentMap.id);
   const [errorMessage, setErrorMessage] = useState("");
+  const [showEditor, setShowEditor] = useState(false);
+  const [loadErrors, setLoadErrors] = useState([]);
 
-  // Load maps on component mount
+  // Load maps on component mount, then add map files and saved maps
   useEffect(() => {
     setMaps(getAllMaps());
-  }, []);
+
+    let cancelled = false;
+    loadCustomMaps().then((errors) => {
+      if (cancelled) return;
+
+      const allMaps = getAllMaps();
+      setMaps(allMaps);
+      setLoadErrors(errors);
+
+      // Custom maps can come already unlocked
+      setUnlockedMaps((current) => [
+        ...current,
+        ...allMaps
+          .filter((map) => map.unlocked && !current.includes(map.id))
+          .map((map) => map.id),
+      ]);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [setUnlockedMaps]);
 
   // Handle map selection
   const handleSelectMap = (mapId) => {
@@ -82,6 +119,52 @@ const MapSelector = ({ onMapSelected, onClose }) => {
     }
   };
 
+  // Delete a map saved in this browser
+  const handleRemoveMap = (mapId) => {
+    audioManager.playUI("back");
+    removeStoredMap(mapId);
+    setMaps(getAllMaps());
+
+    if (selectedMapId === mapId) {
+      setSelectedMapId(currentMap.id);
+    }
+  };
+
+  // Play a map straight from the editor. Test plays are free but don't
+  // unlock the map; it still has to be bought to pick it from the list.
+  const handleTestMap = (map) => {
+    setCurrentMap(map);
+
+    if (onMapSelected) {
+      onMapSelected(map);
+    }
+    if (onClose) {
+      onClose();
+    }
+  };
+
+  // Open the map editor
+  const handleOpenEditor = () => {
+    audioManager.playUI("click");
+    setShowEditor(true);
+  };
+
+  if (showEditor) {
+    return (
+      <div className="map-selector">
+        <div className="map-selector-content map-editor-content">
+          <MapEditor
+            onTestMap={handleTestMap}
+            onClose={() => {
+              setMaps(getAllMaps());
+              setShowEditor(false);
+            }}
+          />
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="map-selector">
       <div className="map-selector-content">
@@ -89,6 +172,19 @@ const MapSelector = ({ onMapSelected, onClose }) => {
 
         {errorMessage && <div className="error-message">{errorMessage}</div>}
 
+        {loadErrors.length > 0 && (
+          <div className="map-load-errors">
+            <strong>Some custom maps could not be loaded:</strong>
+            <ul>
+              {loadErrors.map(({ source, errors }) => (
+                <li key={source}>
+                  {source}: {errors.join(" ")}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         <div className="map-grid">
           {maps.map((map) => (
             <div
@@ -112,6 +208,19 @@ const MapSelector = ({ onMapSelected, onClose }) => {
                 <h3>{map.name}</h3>
                 <p>{map.description}</p>
 
+                {isStoredMap(map.id) && map.id !== currentMap.id && (
+                  <button
+                    className="purchase-button map-remove-button"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleRemoveMap(map.id);
+                    }}
+                    onMouseEnter={() => audioManager.playUI("hover")}
+                  >
+                    Remove saved map
+                  </button>
+                )}
+
                 {!unlockedMaps.includes(map.id) && (
                   <div className="map-price">
                     <span>Price: {map.price} scrap</span>
@@ -133,6 +242,16 @@ const MapSelector = ({ onMapSelected, onClose }) => {
           ))}
         </div>
 
+        <div className="map-high-scores">
+          <h3>
+            Endless High Scores
+            {getMapById(selectedMapId)
+              ? ` - ${getMapById(selectedMapId).name}`
+              : ""}
+          </h3>
+          <HighScoreTable mapId={selectedMapId} />
+        </div>
+
         <div className="map-selector-actions">
           <button
             className="apply-button"
@@ -143,6 +262,14 @@ const MapSelector = ({ onMapSelected, onClose }) => {
             Apply Map
           </button>
 
+          <button
+            className="apply-button"
+            onClick={handleOpenEditor}
+            onMouseEnter={() => audioManager.playUI("hover")}
+          >
+            Map Editor
+          </button>
+
           <button
             className="cancel-button"
             onClick={onClose}
@@ -308,6 +308,16 @@ const Minimap = () => {
     ctx.textAlign = "left";
     ctx.fillText(`Level: ${currentLevel}`, 5, 12);
 
+    // Draw the seed so the layout can be shared with ?seed=
+    if (dungeonData && dungeonData.seed !== undefined) {
+      ctx.textAlign = "center";
+      ctx.fillText(
+        `Seed: ${dungeonData.seed}`,
+        MINIMAP_SIZE / 2,
+        MINIMAP_SIZE - 8
+      );
+    }
+
     // Draw the player
     ctx.fillStyle = "#00ff00";
     ctx.beginPath();
@@ -0,0 +1,289 @@
+"use client";
+
+import React, { useEffect, useState } from "react";
+import { useGameContext } from "./GameContext";
+import {
+  getTowerInfo,
+  upgradeTower,
+  sellTower,
+  startTowerRelocation,
+  swapTowerCore,
+  setTowerTargeting,
+} from "@/lib/game/defenseMode";
+import {
+  getTowerType,
+  getTowerUpgrades,
+  getSellRefund,
+  TARGET_MODES,
+} from "@/lib/game/towerConfig";
+import { getRobotTypes } from "@/lib/game/robotConfig";
+import {
+  getCoreLabel,
+  getCoreTraitsDescription,
+  getCoreProvenanceDescription,
+} from "@/lib/game/coreConfig";
+import audioManager from "@/lib/game/audioManager";
+
+// Format a stat for display without long decimals
+const formatStat = (value) => Math.round(value * 10) / 10;
+
+// Format a scrap cost like "8 metal, 4 electronic"
+const formatCost = (cost) =>
+  Object.entries(cost)
+    .map(([scrapType, amount]) => `${amount} ${scrapType}`)
+    .join(", ");
+
+const TowerPanel = () => {
+  const { gameState, capturedCores, canAffordScrap, spendScrap, addScrap } =
+    useGameContext();
+  const [tower, setTower] = useState(null);
+  const [showCoreSwap, setShowCoreSwap] = useState(false);
+
+  // Listen for tower clicks in defense mode
+  useEffect(() => {
+    const handleShowTowerPanel = (event) => {
+      setTower(getTowerInfo(event.detail.towerId));
+      setShowCoreSwap(false);
+    };
+
+    // Close the panel if its tower gets destroyed
+    const handleTowerDestroyed = (event) => {
+      setTower((current) =>
+        current && current.id === event.detail.towerId ? null : current
+      );
+    };
+
+    document.addEventListener("showTowerPanel", handleShowTowerPanel);
+    document.addEventListener("towerDestroyed", handleTowerDestroyed);
+
+    return () => {
+      document.removeEventListener("showTowerPanel", handleShowTowerPanel);
+      document.removeEventListener("towerDestroyed", handleTowerDestroyed);
+    };
+  }, []);
+
+  // Close the panel when leaving defense mode
+  useEffect(() => {
+    if (gameState !== "defense") {
+      setTower(null);
+    }
+  }, [gameState]);
+
+  // Buy the next upgrade tier
+  const handleUpgrade = () => {
+    const upgrade = tower.nextUpgrade;
+    if (!upgrade || !canAffordScrap(upgrade.cost)) {
+      audioManager.playUI("back");
+      return;
+    }
+
+    if (upgradeTower(tower.id)) {
+      spendScrap(upgrade.cost);
+      audioManager.playUI("click");
+      setTower(getTowerInfo(tower.id));
+    }
+  };
+
+  // Sell the tower for its core and part of the scrap spent upgrading it
+  const handleSell = () => {
+    const refund = getSellRefund(tower.towerType, tower.upgradeLevel);
+
+    if (sellTower(tower.id)) {
+      addScrap(refund);
+      setTower(null);
+    }
+  };
+
+  // Pick the tower up; the next click on an empty spot places it
+  const handleMove = () => {
+    audioManager.playUI("click");
+
+    if (startTowerRelocation(tower.id)) {
+      setTower(null);
+    }
+  };
+
+  // Swap the tower's core with one of the player's cores
+  const handleSwapCore = (coreId) => {
+    if (swapTowerCore(tower.id, coreId)) {
+      audioManager.playUI("click");
+      setShowCoreSwap(false);
+      setTower(getTowerInfo(tower.id));
+    }
+  };
+
+  // Change the targeting mode or preferred robot type
+  const handleTargeting = (targetMode, targetFilter) => {
+    audioManager.playUI("click");
+
+    if (setTowerTargeting(tower.id, targetMode, targetFilter)) {
+      setTower(getTowerInfo(tower.id));
+    }
+  };
+
+  // Close the panel
+  const handleClose = () => {
+    audioManager.playUI("back");
+    setTower(null);
+  };
+
+  if (!tower) return null;
+
+  const towerType = getTowerType(tower.towerType);
+  const upgrades = getTowerUpgrades(tower.towerType);
+  const sellRefundText = formatCost(
+    getSellRefund(tower.towerType, tower.upgradeLevel)
+  );
+
+  return (
+    <div className="tower-panel">
+      <h3>{towerType ? towerType.name : tower.towerType}</h3>
+
+      <div className="tower-panel-core">Core: {getCoreLabel(tower.core)}</div>
+      {getCoreTraitsDescription(tower.core) && (
+        <div className="tower-type-description">
+          {getCoreTraitsDescription(tower.core)}
+        </div>
+      )}
+      <div className="tower-type-description">
+        {getCoreProvenanceDescription(tower.core)}
+      </div>
+
+      <div className="tower-panel-core">
+        Health: {Math.ceil(tower.health)} / {tower.maxHealth}
+      </div>
+
+      <div className="tower-stats">
+        Range: {formatStat(tower.range)} | Damage: {formatStat(tower.damage)} |
+        Fire rate: {formatStat(tower.fireRate)}/s
+      </div>
+
+      <div className="tower-stats">
+        Linked towers: {tower.linkedTowerCount} | {tower.synergyDescription}
+      </div>
+
+      <div className="tower-targeting">
+        <div className="tower-targeting-label">Targeting</div>
+        <div className="tower-targeting-modes">
+          {TARGET_MODES.map((mode) => (
+            <button
+              key={mode.id}
+              className={`core-button ${
+                tower.targetMode === mode.id ? "selected" : ""
+              }`}
+              onClick={() => handleTargeting(mode.id, tower.targetFilter)}
+              onMouseEnter={() => audioManager.playUI("hover")}
+            >
+              {mode.name}
+            </button>
+          ))}
+        </div>
+        <select
+          className="tower-targeting-filter"
+          value={tower.targetFilter || ""}
+          onChange={(e) =>
+            handleTargeting(tower.targetMode, e.target.value || null)
+          }
+        >
+          <option value="">Any robot type</option>
+          {getRobotTypes().map((robotType) => (
+            <option key={robotType.id} value={robotType.id}>
+              {robotType.name}s first
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="tower-upgrades">
+        {upgrades.map((upgrade, index) => (
+          <div
+            key={upgrade.name}
+            className={`tower-upgrade ${
+              index < tower.upgradeLevel
+                ? "owned"
+                : index === tower.upgradeLevel
+                ? "next"
+                : "locked"
+            }`}
+          >
+            <strong>
+              {index + 1}. {upgrade.name}
+            </strong>
+            <div className="tower-type-description">{upgrade.description}</div>
+            {index >= tower.upgradeLevel && (
+              <div className="tower-upgrade-cost">
+                {formatCost(upgrade.cost)}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {tower.nextUpgrade ? (
+        <button
+          className="core-button build-tower-button"
+          onClick={handleUpgrade}
+          onMouseEnter={() => audioManager.playUI("hover")}
+          disabled={!canAffordScrap(tower.nextUpgrade.cost)}
+        >
+          Upgrade: {tower.nextUpgrade.name}
+        </button>
+      ) : (
+        <div className="tower-upgrade-max">Fully upgraded</div>
+      )}
+
+      {showCoreSwap ? (
+        <div className="cores-list">
+          {capturedCores.length === 0 && (
+            <div className="tower-type-description">No spare AI cores</div>
+          )}
+          {capturedCores.map((core) => (
+            <button
+              key={core.id}
+              className="core-button"
+              onClick={() => handleSwapCore(core.id)}
+              onMouseEnter={() => audioManager.playUI("hover")}
+            >
+              {getCoreLabel(core)}
+            </button>
+          ))}
+        </div>
+      ) : (
+        <div className="tower-actions">
+          <button
+            className="core-button"
+            onClick={() => setShowCoreSwap(true)}
+            onMouseEnter={() => audioManager.playUI("hover")}
+          >
+            Swap Core
+          </button>
+          <button
+            className="core-button"
+            onClick={handleMove}
+            onMouseEnter={() => audioManager.playUI("hover")}
+          >
+            Move
+          </button>
+          <button
+            className="core-button"
+            onClick={handleSell}
+            onMouseEnter={() => audioManager.playUI("hover")}
+          >
+            Sell
+            {sellRefundText && ` (+${sellRefundText})`}
+          </button>
+        </div>
+      )}
+
+      <button
+        className="cancel-button"
+        onClick={handleClose}
+        onMouseEnter={() => audioManager.playUI("hover")}
+      >
+        Close
+      </button>
+    </div>
+  );
+};
+
+export default TowerPanel;
@@ -3,17 +3,42 @@
 import React, { useEffect, useState } from "react";
 import { useGameContext } from "./GameContext";
 import { createTower } from "@/lib/game/defenseMode";
+import {
+  getTowerTypes,
+  getTowerStats,
+  getCoreBonusDescription,
+  canTargetAir,
+  getAntiAirMultiplier,
+} from "@/lib/game/towerConfig";
+import { getCoreLabel, getCoreTraitsDescription } from "@/lib/game/coreConfig";
 import audioManager from "@/lib/game/audioManager";
 
+// Format a stat for display without long decimals
+const formatStat = (value) => Math.round(value * 10) / 10;
+
+// How a tower type deals with flying robots
+const getAirTargetingLabel = (towerTypeId) => {
+  if (!canTargetAir(towerTypeId)) return "Can't target drones";
+
+  const multiplier = getAntiAirMultiplier(towerTypeId);
+  return multiplier > 1
+    ? `+${Math.round((multiplier - 1) * 100)}% damage vs drones`
+    : "Hits drones";
+};
+
 const TowerPlacementMenu = ({ sceneRef }) => {
-  const { capturedCores, setCapturedCores } = useGameContext();
+  const { capturedCores } = useGameContext();
   const [showMenu, setShowMenu] = useState(false);
   const [selectedMarker, setSelectedMarker] = useState(null);
+  const [selectedTowerType, setSelectedTowerType] = useState(null);
+  const [selectedCoreId, setSelectedCoreId] = useState(null);
 
   // Listen for tower placement events
   useEffect(() => {
     const handleShowTowerMenu = (event) => {
       setSelectedMarker(event.detail.marker);
+      setSelectedTowerType(null);
+      setSelectedCoreId(null);
       setShowMenu(true);
 
       // Play menu open sound
@@ -35,54 +60,167 @@ const TowerPlacementMenu = ({ sceneRef }) => {
     };
   }, []);
 
-  // Handle core selection for tower placement
-  const handleCoreSelection = (coreIndex) => {
-    if (selectedMarker && sceneRef && sceneRef.current) {
+  // Handle tower type selection (first step)
+  const handleTowerTypeSelection = (towerType) => {
+    audioManager.playUI("click");
+    setSelectedTowerType(towerType);
+    setSelectedCoreId(null);
+  };
+
+  // Handle core selection (second step)
+  const handleCoreSelection = (coreId) => {
+    audioManager.playUI("click");
+    setSelectedCoreId(coreId);
+  };
+
+  // Build the selected tower with the selected core
+  const handleBuildTower = () => {
+    if (
+      selectedMarker &&
+      selectedTowerType &&
+      selectedCoreId !== null &&
+      sceneRef &&
+      sceneRef.current
+    ) {
       // Play selection sound
       audioManager.playUI("click");
 
-      // Use the imported function from defenseMode
-      createTower(selectedMarker.position, coreIndex, sceneRef.current);
-
-      // Update cores in context
-      const updatedCores = [...capturedCores];
-      updatedCores.splice(coreIndex, 1);
-      setCapturedCores(updatedCores);
+      // Use the imported function from defenseMode; it installs the core
+      createTower(
+        selectedMarker.position,
+        selectedCoreId,
+        sceneRef.current,
+        selectedTowerType.id
+      );
 
       // Close the menu
       setShowMenu(false);
       setSelectedMarker(null);
+      setSelectedTowerType(null);
+      setSelectedCoreId(null);
     }
   };
 
-  // Close the menu without selecting a core
+  // Go back to the tower type list
+  const handleBack = () => {
+    audioManager.playUI("back");
+    setSelectedTowerType(null);
+    setSelectedCoreId(null);
+  };
+
+  // Close the menu without placing a tower
   const handleCancel = () => {
     // Play cancel sound
     audioManager.playUI("back");
 
     setShowMenu(false);
     setSelectedMarker(null);
+    setSelectedTowerType(null);
+    setSelectedCoreId(null);
   };
 
   if (!showMenu) return null;
 
+  const selectedCore =
+    capturedCores.find((core) => core.id === selectedCoreId) || null;
+  const previewStats =
+    selectedTowerType && selectedCore
+      ? getTowerStats(selectedTowerType.id, selectedCore)
+      : null;
+
   return (
     <div className="tower-placement-menu">
       <div className="menu-content">
-        <h3>Select AI Core</h3>
+        {!selectedTowerType ? (
+          <>
+            <h3>Select Tower Type</h3>
+
+            <div className="tower-types-list">
+              {getTowerTypes().map((towerType) => (
+                <button
+                  key={towerType.id}
+                  className="core-button tower-type-button"
+                  onClick={() => handleTowerTypeSelection(towerType)}
+                  onMouseEnter={() => audioManager.playUI("hover")}
+                >
+                  <span
+                    className="tower-type-swatch"
+                    style={{
+                      backgroundColor: `#${towerType.color
+                        .toString(16)
+                        .padStart(6, "0")}`,
+                    }}
+                  />
+                  <strong>{towerType.name}</strong>
+                  <div className="tower-type-description">
+                    {towerType.description}
+                  </div>
+                  <div className="tower-stats">
+                    Range: {towerType.range} | Damage: {towerType.damage} | Fire
+                    rate: {towerType.rate}/s
+                  </div>
+                  <div className="tower-stats">
+                    {getAirTargetingLabel(towerType.id)}
+                  </div>
+                </button>
+              ))}
+            </div>
+          </>
+        ) : (
+          <>
+            <h3>Select AI Core for {selectedTowerType.name}</h3>
+
+            <div className="cores-list">
+              {capturedCores.map((core) => (
+                <button
+                  key={core.id}
+                  className={`core-button ${
+                    selectedCoreId === core.id ? "selected" : ""
+                  }`}
+                  onClick={() => handleCoreSelection(core.id)}
+                  onMouseEnter={() => audioManager.playUI("hover")}
+                >
+                  {getCoreLabel(core)}
+                </button>
+              ))}
+            </div>
+
+            {selectedCore && previewStats && (
+              <div className="core-bonus-preview">
+                <div className="core-bonus">
+                  {getCoreBonusDescription(selectedCore)}
+                </div>
+                {getCoreTraitsDescription(selectedCore) && (
+                  <div className="tower-type-description">
+                    {getCoreTraitsDescription(selectedCore)}
+                  </div>
+                )}
+                <div className="tower-stats">
+                  Range: {formatStat(previewStats.range)} | Damage:{" "}
+                  {formatStat(previewStats.damage)} | Fire rate:{" "}
+                  {formatStat(previewStats.fireRate)}/s
+                </div>
+              </div>
+            )}
+
+            <button
+              className="core-button build-tower-button"
+              onClick={handleBuildTower}
+              onMouseEnter={() => audioManager.playUI("hover")}
+              disabled={!selectedCore}
+            >
+              Build Tower
+            </button>
 
-        <div className="cores-list">
-          {capturedCores.map((core, index) => (
             <button
-              key={index}
               className="core-button"
-              onClick={() => handleCoreSelection(index)}
+              onClick={handleBack}
               onMouseEnter={() => audioManager.playUI("hover")}
             >
-              {core.type} ({core.value} - Power: {core.power})
+              Back
             </button>
-          ))}
-        </div>
+          </>
+        )}
 
         <button
           className="cancel-button"
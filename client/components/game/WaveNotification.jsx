@@ -55,6 +55,7 @@ const WaveNotification = () => {
     // Handle wave started event
     const handleWaveStarted = (event) => {
       setWaveInProgress(true);
+      setShowComplete(false);
     };
 
     // Handle wave complete event
@@ -78,6 +79,13 @@ const WaveNotification = () => {
       }, 30000);
     };
 
+    // A finished run starts again from wave 1
+    const handleDefenseRunEnded = () => {
+      setShowComplete(false);
+      setCompletedWave(0);
+      setWaveInProgress(false);
+    };
+
     // Handle mode transition button events
     const handleShowModeTransitionButton = (event) => {
       const { targetMode, buttonText } = event.detail;
@@ -103,6 +111,7 @@ const WaveNotification = () => {
     document.addEventListener("waveCountdown", handleWaveCountdown);
     document.addEventListener("waveStarted", handleWaveStarted);
     document.addEventListener("waveComplete", handleWaveComplete);
+    document.addEventListener("defenseRunEnded", handleDefenseRunEnded);
     document.addEventListener(
       "showModeTransitionButton",
       handleShowModeTransitionButton
@@ -112,6 +121,7 @@ const WaveNotification = () => {
       document.removeEventListener("waveCountdown", handleWaveCountdown);
       document.removeEventListener("waveStarted", handleWaveStarted);
       document.removeEventListener("waveComplete", handleWaveComplete);
+      document.removeEventListener("defenseRunEnded", handleDefenseRunEnded);
       document.removeEventListener(
         "showModeTransitionButton",
         handleShowModeTransitionButton
@@ -0,0 +1,150 @@
+// bossSystem.js - Boss encounters shared by defense waves and dungeon levels
+import * as THREE from "three";
+import robotSpawner from "./robots";
+import projectileSystem from "./projectileSystem";
+import { getRobotType, getBossPhaseIndex, BOSS_CONFIG } from "./robotConfig";
+
+// The boss currently being fought, if any
+let activeBoss = null;
+let lastReportedHealth = null;
+
+// Spawn the boss robot and start its encounter
+export function spawnBoss(x, z, scene) {
+  const boss = robotSpawner.spawnRobot(x, z, scene, BOSS_CONFIG.type);
+  if (boss) {
+    startBossEncounter(boss);
+  }
+  return boss;
+}
+
+// Track a freshly spawned boss and tell the HUD about it
+export function startBossEncounter(boss) {
+  if (activeBoss && activeBoss !== boss) {
+    endBossEncounter(false);
+  }
+
+  activeBoss = boss;
+  lastReportedHealth = boss.health;
+  boss.baseSpeed = boss.speed; // Phases scale from the spawn speed
+  enterPhase(boss, 0);
+
+  document.dispatchEvent(
+    new CustomEvent("bossSpawned", {
+      detail: {
+        name: boss.type,
+        health: boss.health,
+        maxHealth: boss.maxHealth,
+        phase: boss.bossPhase.name,
+      },
+    })
+  );
+}
+
+// Get the boss currently being fought, or null
+export function getActiveBoss() {
+  return activeBoss;
+}
+
+// Check the active boss each frame for phase changes, damage and its end
+export function updateBossEncounter() {
+  if (!activeBoss) return;
+
+  // The boss is gone: destroyed, escaped or cleared with the level
+  if (!robotSpawner.getAllRobots().includes(activeBoss)) {
+    endBossEncounter(activeBoss.health <= 0);
+    return;
+  }
+
+  if (activeBoss.health === lastReportedHealth) return;
+  lastReportedHealth = activeBoss.health;
+
+  const phaseIndex = getBossPhaseIndex(
+    getRobotType(activeBoss.typeId),
+    activeBoss.health / activeBoss.maxHealth
+  );
+  if (phaseIndex > activeBoss.phaseIndex) {
+    enterPhase(activeBoss, phaseIndex);
+
+    document.dispatchEvent(
+      new CustomEvent("displayNotification", {
+        detail: {
+          message: `${activeBoss.type} enters ${activeBoss.bossPhase.name} phase!`,
+          type: "error",
+        },
+      })
+    );
+  }
+
+  document.dispatchEvent(
+    new CustomEvent("bossHealthUpdate", {
+      detail: {
+        health: Math.max(0, activeBoss.health),
+        maxHealth: activeBoss.maxHealth,
+        phase: activeBoss.bossPhase.name,
+      },
+    })
+  );
+}
+
+// Points the shots of a boss volley are aimed at: one per projectile,
+// fanned out around the target according to the boss's phase
+export function getVolleyTargets(boss, targetPosition) {
+  const { projectileCount, spread } = boss.bossPhase;
+  const aim = targetPosition.clone().sub(boss.position);
+  const up = new THREE.Vector3(0, 1, 0);
+
+  return Array.from({ length: projectileCount }, (_, i) => {
+    const angle =
+      projectileCount > 1
+        ? -spread + (2 * spread * i) / (projectileCount - 1)
+        : 0;
+    return aim.clone().applyAxisAngle(up, angle).add(boss.position);
+  });
+}
+
+// Fire a boss volley at a target, fanned out according to its phase
+export function fireBossVolley(boss, targetPosition, scene) {
+  getVolleyTargets(boss, targetPosition).forEach((shotTarget) =>
+    projectileSystem.createProjectile(boss, shotTarget, scene)
+  );
+}
+
+// Switch a boss to a new attack phase
+function enterPhase(boss, phaseIndex) {
+  const phases = getRobotType(boss.typeId).phases;
+  boss.phaseIndex = phaseIndex;
+  boss.bossPhase = phases[phaseIndex];
+  boss.speed = boss.baseSpeed * boss.bossPhase.speedMultiplier;
+
+  // Glow brighter with each phase
+  const body = boss.children[0];
+  if (body && body.material.emissive) {
+    body.material.emissive.setHex(0xff00ff);
+    body.material.emissiveIntensity = phaseIndex * 0.4;
+  }
+}
+
+// Finish the encounter so the HUD and music can return to normal
+function endBossEncounter(defeated) {
+  const boss = activeBoss;
+  activeBoss = null;
+  lastReportedHealth = null;
+
+  document.dispatchEvent(
+    new CustomEvent("bossEncounterEnded", {
+      detail: { name: boss.type, defeated },
+    })
+  );
+
+  if (defeated) {
+    document.dispatchEvent(
+      new CustomEvent("displayNotification", {
+        detail: {
+          message: `${boss.type} destroyed! It left behind a power ${BOSS_CONFIG.corePower} core.`,
+          type: "success",
+          duration: 5000,
+        },
+      })
+    );
+  }
+}
@@ -0,0 +1,192 @@
+// coreConfig.js - AI core rarity tiers, secondary traits and fusion
+
+// Rarity tiers from most to least common. `weight` is the chance of rolling
+// a tier relative to the others; rarer tiers roll more secondary traits.
+export const CORE_RARITIES = [
+  { id: "common", name: "Common", color: 0xbbbbbb, weight: 60, traitCount: 0 },
+  {
+    id: "uncommon",
+    name: "Uncommon",
+    color: 0x33ff33,
+    weight: 25,
+    traitCount: 1,
+  },
+  { id: "rare", name: "Rare", color: 0x3399ff, weight: 10, traitCount: 2 },
+  { id: "epic", name: "Epic", color: 0xaa44ff, weight: 4, traitCount: 3 },
+  {
+    id: "legendary",
+    name: "Legendary",
+    color: 0xff9900,
+    weight: 1,
+    traitCount: 4,
+  },
+];
+
+// Secondary traits a core can roll, at most once each. They stack with the
+// bonus from the core's value when the core is installed in a tower.
+export const CORE_TRAITS = {
+  range: { name: "+10% range", multipliers: { range: 1.1 } },
+  damage: { name: "+10% damage", multipliers: { damage: 1.1 } },
+  fireRate: { name: "+10% fire rate", multipliers: { fireRate: 1.1 } },
+  chainLightning: {
+    name: "Chain lightning",
+    effects: { chainLightning: 2 }, // Hits arc on to this many more enemies
+  },
+  incendiary: { name: "Incendiary", statusEffect: "burn" },
+  cryo: { name: "Cryo", statusEffect: "slow" },
+};
+
+// The fusion station merges this many cores of the same value at once
+export const FUSION_CORE_COUNTS = [2, 3];
+export const FUSION_COST = { energy: 5, electronic: 3 };
+
+// Fusion can't raise a core's power past this
+export const MAX_CORE_POWER = 6;
+
+// Get a core's rarity tier; cores from before rarities existed are common
+export function getCoreRarity(core) {
+  return (
+    CORE_RARITIES.find((rarity) => core && rarity.id === core.rarity) ||
+    CORE_RARITIES[0]
+  );
+}
+
+// Get the trait definitions rolled on a core
+export function getCoreTraits(core) {
+  return ((core && core.traits) || [])
+    .map((traitId) => CORE_TRAITS[traitId])
+    .filter(Boolean);
+}
+
+// Roll a rarity tier, never below `minRarity`
+function rollRarity(minRarity = "common") {
+  const minIndex = Math.max(
+    0,
+    CORE_RARITIES.findIndex((rarity) => rarity.id === minRarity)
+  );
+  const tiers = CORE_RARITIES.slice(minIndex);
+  const totalWeight = tiers.reduce((sum, rarity) => sum + rarity.weight, 0);
+
+  let roll = Math.random() * totalWeight;
+  for (const rarity of tiers) {
+    roll -= rarity.weight;
+    if (roll < 0) return rarity;
+  }
+  return tiers[tiers.length - 1];
+}
+
+// Pick up to `count` different random entries from a list
+function pickRandom(list, count) {
+  const remaining = [...list];
+  const picked = [];
+
+  while (picked.length < count && remaining.length > 0) {
+    const index = Math.floor(Math.random() * remaining.length);
+    picked.push(remaining.splice(index, 1)[0]);
+  }
+  return picked;
+}
+
+// Add random traits the core doesn't have yet until it has `count`
+function rollTraits(count, traits = []) {
+  const available = Object.keys(CORE_TRAITS).filter(
+    (traitId) => !traits.includes(traitId)
+  );
+  return [...traits, ...pickRandom(available, count - traits.length)];
+}
+
+// Create a core with a random rarity and the traits that come with it
+export function createCore(type, value, power, minRarity = "common") {
+  const rarity = rollRarity(minRarity);
+  return {
+    type,
+    value,
+    power,
+    rarity: rarity.id,
+    traits: rollTraits(rarity.traitCount),
+  };
+}
+
+// Label for core lists, e.g. "Rare Scout (speed - Power: 2)"
+export function getCoreLabel(core) {
+  return `${getCoreRarity(core).name} ${core.type} (${core.value} - Power: ${
+    core.power
+  })`;
+}
+
+// Summary of a core's traits, or an empty string when it has none
+export function getCoreTraitsDescription(core) {
+  const traits = getCoreTraits(core);
+  return traits.length > 0
+    ? `Traits: ${traits.map((trait) => trait.name).join(", ")}`
+    : "";
+}
+
+// Where a core came from and how many kills it has made, for tower panels
+export function getCoreProvenanceDescription(core) {
+  const provenance = (core && core.provenance) || {};
+  let origin;
+  if (provenance.fusedFrom) {
+    origin = `Fused from ${provenance.fusedFrom.length} cores`;
+  } else if (provenance.dungeonLevel) {
+    origin = `Captured on dungeon level ${provenance.dungeonLevel}`;
+  } else if (provenance.robotType) {
+    origin = "Captured defending the mainframe";
+  } else {
+    origin = "Starter core";
+  }
+
+  const kills = provenance.kills || 0;
+  return `${origin} | ${kills} ${kills === 1 ? "kill" : "kills"}`;
+}
+
+// Check a set of cores for fusion; returns why they can't be fused, or null
+export function getFusionError(cores) {
+  if (!FUSION_CORE_COUNTS.includes(cores.length)) {
+    return `Select ${FUSION_CORE_COUNTS.join(" or ")} cores to fuse.`;
+  }
+  if (cores.some((core) => core.value !== cores[0].value)) {
+    return "Only cores with the same value can be fused.";
+  }
+  return null;
+}
+
+// The power and rarity a fusion will produce. Power grows by one per extra
+// core; fusing three cores also lifts the best rarity by a tier.
+export function getFusionResult(cores) {
+  const power = Math.min(
+    MAX_CORE_POWER,
+    Math.max(...cores.map((core) => core.power)) + cores.length - 1
+  );
+  const bestRarityIndex = Math.max(
+    ...cores.map((core) => CORE_RARITIES.indexOf(getCoreRarity(core)))
+  );
+  const rarityIndex = Math.min(
+    CORE_RARITIES.length - 1,
+    bestRarityIndex + (cores.length >= 3 ? 1 : 0)
+  );
+
+  return { power, rarity: CORE_RARITIES[rarityIndex] };
+}
+
+// Merge cores into one stronger core. It keeps some of the traits the cores
+// already had and rolls new ones for any slots left over.
+export function fuseCores(cores) {
+  const { power, rarity } = getFusionResult(cores);
+  const strongest = cores.reduce((best, core) =>
+    core.power > best.power ? core : best
+  );
+
+  const knownTraits = [
+    ...new Set(cores.flatMap((core) => core.traits || [])),
+  ].filter((traitId) => CORE_TRAITS[traitId]);
+  const inheritedTraits = pickRandom(knownTraits, rarity.traitCount);
+
+  return {
+    type: strongest.type,
+    value: strongest.value,
+    power,
+    rarity: rarity.id,
+    traits: rollTraits(rarity.traitCount, inheritedTraits),
+  };
+}
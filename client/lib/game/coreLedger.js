@@ -0,0 +1,173 @@
+// coreLedger.js - The one record of every AI core the player owns.
+// Each core has a stable ID and is either in the player's inventory or
+// installed in exactly one tower; every move between the two goes through
+// the functions below so cores can't be duplicated or lost. React reads the
+// same store through useCoreLedger.
+import { create } from "zustand";
+import { fuseCores as fuseCoreStats, getFusionError } from "./coreConfig";
+
+// The core every player starts with
+const STARTER_CORE = {
+  type: "Basic",
+  value: "power",
+  power: 1,
+  rarity: "common",
+  traits: [],
+};
+
+let nextCoreId = 1;
+
+// Give core stats an ID and provenance. The provenance notes where the core
+// came from; kills count up while the core is installed in a tower.
+function createEntry(coreData, provenance = {}) {
+  const { provenance: carried, ...stats } = coreData;
+  return {
+    ...stats,
+    id: `core-${nextCoreId++}`,
+    provenance: {
+      robotType: null,
+      dungeonLevel: null,
+      capturedAt: Date.now(),
+      kills: 0,
+      fusedFrom: null, // IDs of the cores fused into this one
+      ...carried,
+      ...provenance,
+    },
+  };
+}
+
+const starterCore = createEntry(STARTER_CORE);
+
+export const useCoreLedger = create(() => ({
+  cores: { [starterCore.id]: starterCore }, // Every owned core by ID
+  inventory: [starterCore.id], // IDs of the cores not in a tower, in pickup order
+  installed: {}, // Core ID -> ID of the tower it's installed in
+}));
+
+const getState = () => useCoreLedger.getState();
+const setState = (update) => useCoreLedger.setState(update);
+
+// Get a core by ID, or null if the player doesn't own it
+export function getCore(coreId) {
+  return getState().cores[coreId] || null;
+}
+
+// Get the cores in the player's inventory
+export function getInventoryCores() {
+  const { cores, inventory } = getState();
+  return inventory.map((coreId) => cores[coreId]);
+}
+
+// Get the ID of the core installed in a tower, or null
+export function getInstalledCoreId(towerId) {
+  const entry = Object.entries(getState().installed).find(
+    ([, installedTowerId]) => installedTowerId === towerId
+  );
+  return entry ? entry[0] : null;
+}
+
+// Check whether a core is in the player's inventory
+function isInInventory(coreId) {
+  return getState().inventory.includes(coreId);
+}
+
+// Record a newly captured core and put it in the inventory; returns the core
+export function captureCore(coreData, provenance = {}) {
+  const core = createEntry(coreData, provenance);
+  setState((state) => ({
+    cores: { ...state.cores, [core.id]: core },
+    inventory: [...state.inventory, core.id],
+  }));
+  return core;
+}
+
+// Move a core from the inventory into a tower; returns the core, or null if
+// it isn't in the inventory (already installed elsewhere, fused or lost)
+export function installCore(coreId, towerId) {
+  if (!isInInventory(coreId)) return null;
+
+  setState((state) => ({
+    inventory: state.inventory.filter((id) => id !== coreId),
+    installed: { ...state.installed, [coreId]: towerId },
+  }));
+  return getCore(coreId);
+}
+
+// Move a core out of its tower back into the inventory; returns the core
+export function returnCore(coreId) {
+  if (!(coreId in getState().installed)) return null;
+
+  setState((state) => {
+    const { [coreId]: towerId, ...installed } = state.installed;
+    return { inventory: [...state.inventory, coreId], installed };
+  });
+  return getCore(coreId);
+}
+
+// Swap a tower's core for one from the inventory; returns the new core
+export function swapCore(towerId, newCoreId) {
+  const oldCoreId = getInstalledCoreId(towerId);
+  if (!oldCoreId || !isInInventory(newCoreId)) return null;
+
+  returnCore(oldCoreId);
+  return installCore(newCoreId, towerId);
+}
+
+// A core destroyed along with its tower is gone for good
+export function loseCore(coreId) {
+  setState((state) => {
+    const { [coreId]: lostCore, ...cores } = state.cores;
+    const { [coreId]: towerId, ...installed } = state.installed;
+    return {
+      cores,
+      installed,
+      inventory: state.inventory.filter((id) => id !== coreId),
+    };
+  });
+}
+
+// Count a kill for the core in the tower that landed the final hit
+export function recordCoreKill(coreId) {
+  const core = getCore(coreId);
+  if (!core) return;
+
+  const updated = {
+    ...core,
+    provenance: { ...core.provenance, kills: core.provenance.kills + 1 },
+  };
+  setState((state) => ({ cores: { ...state.cores, [coreId]: updated } }));
+}
+
+// Fuse cores from the inventory into one; returns the new core, or an error
+// message if they can't be fused
+export function fuseInventoryCores(coreIds) {
+  if (
+    new Set(coreIds).size !== coreIds.length ||
+    !coreIds.every(isInInventory)
+  ) {
+    return { error: "Only cores in your inventory can be fused." };
+  }
+
+  const cores = coreIds.map(getCore);
+  const error = getFusionError(cores);
+  if (error) return { error };
+
+  const core = createEntry(fuseCoreStats(cores), {
+    robotType: cores[0].provenance.robotType,
+    kills: cores.reduce((sum, other) => sum + other.provenance.kills, 0),
+    fusedFrom: coreIds,
+  });
+
+  setState((state) => {
+    const remaining = { ...state.cores };
+    coreIds.forEach((coreId) => delete remaining[coreId]);
+    return {
+      cores: { ...remaining, [core.id]: core },
+      inventory: [
+        ...state.inventory.filter((id) => !coreIds.includes(id)),
+        core.id,
+      ],
+    };
+  });
+  return { core };
+}
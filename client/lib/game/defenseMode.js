@@ -4,7 +4,74 @@ import { OrbitControls } from "three/addons/controls/OrbitControls.js";
 import robotSpawner from "./robots";
 import { randomInt } from "./robots";
 import audioManager from "./audioManager";
-import { getMapById, getDefaultMap } from "./mapConfig";
+import {
+  getMapById,
+  getDefaultMap,
+  getPathRoute,
+  getWaveDefinition,
+  getWaveRewards,
+  BUILD_GRID,
+  getBuildCell,
+  getBuildCellKey,
+  getBuildRoute,
+  snapToBuildGrid,
+  isReservedBuildCell,
+  BASE_REACH_DISTANCE,
+} from "./mapConfig";
+import {
+  getTowerType,
+  getTowerStats,
+  getNextUpgrade,
+  canTargetAir,
+  getSynergyMultipliers,
+  getSynergyDescription,
+  getTypeSynergy,
+  SYNERGY_LINK_RADIUS,
+  DEFAULT_TARGET_MODE,
+} from "./towerConfig";
+import { getDefenseBehavior } from "./robotConfig";
+import { getCoreRarity } from "./coreConfig";
+import {
+  getCore,
+  getInventoryCores,
+  getInstalledCoreId,
+  installCore,
+  returnCore,
+  swapCore,
+  loseCore,
+  recordCoreKill,
+} from "./coreLedger";
+import { getDifficulty } from "./difficultyConfig";
+import {
+  fireTowerProjectile,
+  updateLaserBeam,
+  stopLaserBeam,
+  updateTowerProjectiles,
+  clearTowerProjectiles,
+  getEnemiesNear,
+  damageEnemy,
+  createExplosion,
+} from "./towerProjectileSystem";
+import { updateStatusEffects, getSpeedMultiplier } from "./statusEffects";
+import {
+  startBossEncounter,
+  updateBossEncounter,
+  getVolleyTargets,
+} from "./bossSystem";
+import { calculateScore, addHighScore } from "./highScores";
+import {
+  tickGameClock,
+  getGameTime,
+  setGameTimeout,
+  setGameInterval,
+  clearGameTimer,
+  resetGameClock,
+} from "./gameClock";
+import {
+  getBaseStats,
+  REPAIR_ACTION,
+  DEFAULT_BASE_UPGRADES,
+} from "./mainframeConfig";
 
 // Game state
 let defenseCamera;
@@ -13,22 +80,50 @@ let defenseBase;
 let towerMarkers = [];
 let currentWave = 0;
 let waveInProgress = false;
+let waveToken = 0; // Changes whenever a wave is cut short, so its callbacks stop counting
 let renderer; // Will be set in initDefenseMode
 let scene; // Will be set in initDefenseMode
 let currentMap = getDefaultMap(); // Current map configuration
 let placedTurrets = []; // Track placed turrets for persistence
+let nextTowerId = 1; // Stable IDs so the UI can address individual towers
+let pendingRelocationId = null; // Tower waiting for the player to pick a new spot
+let waveSpawnTimers = []; // Pending game clock spawn timers for the current wave
+let endlessMode = false; // Waves keep coming until the base falls
+let endlessWaveTimer = null; // Break before the next endless wave
+let runStats = createRunStats(); // Tally for the current run's score
+let baseDamagedThisWave = false; // A clean wave earns the perfect bonus
+let baseUpgradeLevels = { ...DEFAULT_BASE_UPGRADES }; // Mainframe upgrades bought by the player
+let pathIndicators = []; // Route lines and arrows drawn on the floor
+let buildCursor = null; // Grid cell highlight on free-build maps
+let synergyFields = []; // Effects running between pairs of linked towers
+
+// Base damage dealt per point of a robot's attack stat
+const BASE_DAMAGE_PER_ATTACK = 0.2;
+// Tower damage dealt per point of a robot's attack stat
+const TOWER_DAMAGE_PER_ATTACK = 1;
+// Pause between waves in endless mode (ms)
+const ENDLESS_WAVE_BREAK = 5000;
+// How close a boss shot has to pass to a tower, or to the base, to hit it
+const BOSS_SHOT_HIT_RADIUS = { tower: 1, base: 2.5 };
 
 // Initialize defense mode
-export function initDefenseMode(sceneRef, rendererRef, initialTurrets = []) {
+export function initDefenseMode(
+  sceneRef,
+  rendererRef,
+  initialTurrets = [],
+  baseUpgrades = DEFAULT_BASE_UPGRADES
+) {
   // Store references
   scene = sceneRef;
   renderer = rendererRef;
+  baseUpgradeLevels = { ...baseUpgrades };
+
+  // Fresh game clock at normal speed, with no wave left over from before
+  resetGameClock();
+  waveInProgress = false;
+  currentWave = 0;
+  waveToken++;
 
-  if (window.capturedCores && window.capturedCores.length > 0) {
-    document.dispatchEvent(
-      new CustomEvent("updateCores", { detail: window.capturedCores })
-    );
-  }
   // Initialize with any provided turrets from React state
   placedTurrets = [...initialTurrets];
 
@@ -84,6 +179,10 @@ export function initDefenseMode(sceneRef, rendererRef, initialTurrets = []) {
     setPlacedTurrets: (turrets) => {
       placedTurrets = [...turrets];
     },
+    setBaseUpgrades: (levels) => {
+      baseUpgradeLevels = { ...levels };
+      applyBaseStats();
+    },
   };
 }
 
@@ -93,33 +192,46 @@ function restorePlacedTurrets(scene) {
 
   console.log(`Restoring ${placedTurrets.length} placed turrets`);
 
-  // For each stored turret
-  placedTurrets.forEach((turretData) => {
-    // Find the appropriate tower marker
-    const matchingMarkerIndex = towerMarkers.findIndex(
-      (marker) =>
-        marker.isEmpty &&
-        Math.abs(marker.position.x - turretData.position.x) < 5 &&
-        Math.abs(marker.position.z - turretData.position.z) < 5
-    );
+  // createTower records each rebuilt tower again, so start from an empty list
+  const savedTurrets = [...placedTurrets];
+  placedTurrets = [];
 
-    if (matchingMarkerIndex >= 0) {
-      const marker = towerMarkers[matchingMarkerIndex];
+  const returnedCores = savedTurrets
+    .filter((turretData) => !rebuildTower(turretData, scene))
+    .map((turretData) => returnCore(turretData.coreId));
+  notifyReturnedCores(returnedCores);
 
-      // Add the core to the capturedCores array
-      window.capturedCores = window.capturedCores || [];
-      window.capturedCores.push(turretData.core);
+  // Update the UI
+  updateDefenseUI();
+}
 
-      // Create the tower
-      createTower(marker.position, window.capturedCores.length - 1, scene);
+// Rebuild a saved tower with the core still installed in it. Returns false
+// when the tower no longer fits on the map; its core stays installed for the
+// caller to return.
+function rebuildTower(turretData, scene) {
+  const position = getRestorePosition(turretData);
+  if (!position) return false;
+
+  return Boolean(
+    createTower(
+      position,
+      turretData.coreId,
+      scene,
+      turretData.towerType,
+      turretData
+    )
+  );
+}
 
-      // Remove the core we just added since createTower removes it during placement
-      window.capturedCores = window.capturedCores.slice(0, -1);
-    }
-  });
+// Tell the player which cores came back from towers that were removed
+function notifyReturnedCores(returnedCores) {
+  if (returnedCores.length === 0) return;
 
-  // Update the UI
-  updateDefenseUI();
+  document.dispatchEvent(
+    new CustomEvent("returnedCores", {
+      detail: { returnedCores },
+    })
+  );
 }
 
 // Setup custom event handlers for React component integration
@@ -157,9 +269,21 @@ function setupCustomEventHandlers(scene) {
     placedTurrets = event.detail;
   };
 
+  // Handle the endless mode toggle
+  const handleSetEndlessMode = (event) => {
+    setEndlessMode(event.detail.enabled);
+  };
+
+  // Handle the player retiring from an endless run
+  const handleEndDefenseRun = () => {
+    endDefenseRun();
+  };
+
   document.addEventListener("startNextWave", handleStartNextWave);
   document.addEventListener("changeMap", handleChangeMap);
   document.addEventListener("updatePlacedTurrets", handleUpdatePlacedTurrets);
+  document.addEventListener("setEndlessMode", handleSetEndlessMode);
+  document.addEventListener("endDefenseRun", handleEndDefenseRun);
 
   // Return cleanup function
   return () => {
@@ -169,16 +293,25 @@ function setupCustomEventHandlers(scene) {
       "updatePlacedTurrets",
       handleUpdatePlacedTurrets
     );
+    document.removeEventListener("setEndlessMode", handleSetEndlessMode);
+    document.removeEventListener("endDefenseRun", handleEndDefenseRun);
   };
 }
 
 // Function to change the current map
 function changeMap(newMap, scene) {
+  // Scores are kept per map, so a new map starts a new run
+  clearEndlessWaveTimer();
+  runStats = createRunStats();
+
   // End any active wave
   if (waveInProgress) {
-    // Clear all enemies
+    // Stop spawning and clear all enemies
+    clearWaveSpawnTimers();
+    clearTowerProjectiles(scene);
     robotSpawner.clearAllRobots(scene);
     waveInProgress = false;
+    waveToken++;
   }
 
   // Play map change sound
@@ -192,6 +325,7 @@ function changeMap(newMap, scene) {
 
   // Clear the current turrets array
   placedTurrets = [];
+  pendingRelocationId = null;
 
   // Remove all towers and markers from the scene
   scene.traverse((object) => {
@@ -206,57 +340,14 @@ function changeMap(newMap, scene) {
   // Rebuild the base and paths
   createDefenseBase(scene);
 
-  // Now recreate the towers if they have valid positions in the new map
-  const returnedCores = [];
-
-  currentTurrets.forEach((turretData) => {
-    // Try to find a matching marker position in the new map
-    const matchingMarkerIndex = towerMarkers.findIndex(
-      (marker) =>
-        marker.isEmpty &&
-        Math.abs(marker.position.x - turretData.position.x) < 5 &&
-        Math.abs(marker.position.z - turretData.position.z) < 5
-    );
-
-    if (matchingMarkerIndex >= 0) {
-      // We found a matching position, rebuild the tower here
-      const marker = towerMarkers[matchingMarkerIndex];
-
-      // Update the turret data with the new position
-      turretData.position = {
-        x: marker.position.x,
-        y: marker.position.y,
-        z: marker.position.z,
-      };
-      turretData.markerId = matchingMarkerIndex;
-
-      // Create the core object and use it to build the tower
-      window.capturedCores = window.capturedCores || [];
-      window.capturedCores.push(turretData.core);
-
-      // Create the tower at the new position
-      createTower(marker.position, window.capturedCores.length - 1, scene);
-
-      // Remove the core we just added since createTower also removes it
-      //window.capturedCores = window.capturedCores.slice(0, -1);
-
-      // Add to placedTurrets array for persistence
-      placedTurrets.push(turretData);
-    } else {
-      // No matching position found, return the core
-      returnedCores.push(turretData.core);
-    }
-  });
+  // Now recreate the towers that fit on the new map and return the others' cores
+  const returnedCores = currentTurrets
+    .filter((turretData) => !rebuildTower(turretData, scene))
+    .map((turretData) => returnCore(turretData.coreId));
+  notifyReturnedCores(returnedCores);
 
-  // Return any cores that couldn't be placed
-  if (returnedCores.length > 0) {
-    // Dispatch an event with the returned cores
-    document.dispatchEvent(
-      new CustomEvent("returnedCores", {
-        detail: { returnedCores },
-      })
-    );
-  }
+  // Links are rebuilt even when no tower made it onto the new map
+  refreshTowerSynergies();
 
   // Dispatch event to update React state with the new placedTurrets
   document.dispatchEvent(
@@ -278,6 +369,7 @@ function createDefenseBase(scene) {
   const baseFloor = new THREE.Mesh(baseGeometry, baseMaterial);
   baseFloor.rotation.x = Math.PI / 2;
   baseFloor.receiveShadow = true;
+  baseFloor.isFloor = true;
   scene.add(baseFloor);
 
   // Create grid lines for visual reference
@@ -297,8 +389,12 @@ function createDefenseBase(scene) {
   scene.add(defenseBase);
 
   defenseBase.isBase = true;
-  defenseBase.health = 100;
-  defenseBase.maxHealth = 100;
+  defenseBase.health = 0;
+  defenseBase.maxHealth = 0;
+  defenseBase.shield = 0;
+  defenseBase.shieldMax = 0;
+  defenseBase.shieldRegenTimer = 0;
+  defenseBase.pointDefenseTimer = 0;
 
   // Add health bar to base
   const healthBarWidth = 5;
@@ -314,6 +410,23 @@ function createDefenseBase(scene) {
   defenseBase.add(healthBar);
   defenseBase.healthBar = healthBar;
 
+  // Shield bubble, shown while the shield generator holds a charge
+  const shieldGeometry = new THREE.SphereGeometry(4.5, 24, 16);
+  const shieldMaterial = new THREE.MeshBasicMaterial({
+    color: 0x66ccff,
+    transparent: true,
+    opacity: 0.25,
+    depthWrite: false,
+  });
+  const shieldMesh = new THREE.Mesh(shieldGeometry, shieldMaterial);
+  shieldMesh.visible = false;
+  shieldMesh.raycast = () => {}; // Let clicks reach the towers around the base
+  defenseBase.add(shieldMesh);
+  defenseBase.shieldMesh = shieldMesh;
+
+  // Start at full (upgraded) health and shield
+  applyBaseStats();
+
   // Create tower placement markers
   createTowerPlacementMarkers(scene);
 
@@ -336,6 +449,36 @@ function createDefenseBase(scene) {
 
   // Add path indicators for where enemies will approach
   createPathIndicators(scene);
+
+  // Clearing the scene took any synergy fields with it
+  synergyFields = [];
+
+  // Free-build maps highlight the grid cell under the mouse
+  buildCursor = null;
+  if (currentMap.freeBuild) {
+    createBuildCursor(scene);
+  }
+}
+
+// Create the grid cell highlight for free-build maps
+function createBuildCursor(scene) {
+  const cursorGeometry = new THREE.PlaneGeometry(
+    BUILD_GRID.cellSize,
+    BUILD_GRID.cellSize
+  );
+  const cursorMaterial = new THREE.MeshBasicMaterial({
+    color: 0x00ff00,
+    transparent: true,
+    opacity: 0.35,
+    side: THREE.DoubleSide,
+    depthWrite: false,
+  });
+  buildCursor = new THREE.Mesh(cursorGeometry, cursorMaterial);
+  buildCursor.rotation.x = -Math.PI / 2;
+  buildCursor.position.y = 0.05;
+  buildCursor.visible = false;
+  buildCursor.raycast = () => {}; // Clicks go through to the floor
+  scene.add(buildCursor);
 }
 
 // Get tower marker ID by position
@@ -354,6 +497,9 @@ function getTowerMarkerIdByPosition(position) {
 function createTowerPlacementMarkers(scene) {
   towerMarkers = [];
 
+  // Free-build maps place towers on the grid instead
+  if (currentMap.freeBuild) return;
+
   // Use the tower spots from the current map
   const markerPositions = currentMap.towerSpots || [
     { x: -10, z: -10 },
@@ -387,22 +533,136 @@ function createTowerPlacementMarkers(scene) {
   });
 }
 
+// Get the enemy spawn points for the current map
+function getSpawnPositions() {
+  return (
+    currentMap.spawnPoints || [
+      { x: -25, z: -25 },
+      { x: -25, z: 25 },
+      { x: 25, z: -25 },
+      { x: 25, z: 25 },
+    ]
+  );
+}
+
+// Cells taken by towers on a free-build map, optionally leaving one tower out
+function getOccupiedBuildCells(ignoreTower = null) {
+  const cells = new Set();
+  scene.children.forEach((obj) => {
+    if (obj.isTower && obj !== ignoreTower) {
+      cells.add(getBuildCellKey(getBuildCell(obj.position)));
+    }
+  });
+  return cells;
+}
+
+// Straight line from a position to the base
+function getDirectRoute(from) {
+  const basePosition = currentMap.basePosition || { x: 0, z: 0 };
+  return [
+    { x: from.x, z: from.z },
+    { x: basePosition.x, z: basePosition.z },
+  ];
+}
+
+// Route from a position to the base: around the towers on free-build maps,
+// along the map's paths otherwise, straight there if already on the base
+function getEnemyRoute(from, blockedCells = getOccupiedBuildCells()) {
+  if (currentMap.freeBuild) {
+    const route = getBuildRoute(currentMap, from, blockedCells);
+    if (route) return route;
+  }
+  return getPathRoute(currentMap, from) || getDirectRoute(from);
+}
+
+// Route for one enemy; drones fly straight at the base over paths and towers
+function getRouteFor(enemy, from = enemy.position) {
+  return enemy.isFlying ? getDirectRoute(from) : getEnemyRoute(from);
+}
+
+// Check a free-build spot; returns why a tower can't go there, or null.
+// Towers may never cut a spawn point, or a robot already on the field, off
+// from the base.
+function getBuildError(position, ignoreTower = null) {
+  const cell = getBuildCell(position);
+  if (isReservedBuildCell(currentMap, cell)) {
+    return "Towers can't be built next to the base or on a spawn point.";
+  }
+
+  const blockedCells = getOccupiedBuildCells(ignoreTower);
+  const cellKey = getBuildCellKey(cell);
+  if (blockedCells.has(cellKey)) {
+    return "There is already a tower there.";
+  }
+  blockedCells.add(cellKey);
+
+  const enemyPositions = robotSpawner
+    .getAllRobots()
+    .filter((enemy) => enemy.isEnemy && enemy.parent && !enemy.isFlying)
+    .map((enemy) => enemy.position);
+  const blocksRoute = [...getSpawnPositions(), ...enemyPositions].some(
+    (start) => !getBuildRoute(currentMap, start, blockedCells)
+  );
+
+  return blocksRoute ? "That would block the robots' path to the base." : null;
+}
+
+// Send the robots on the field around the current towers and redraw the routes
+function refreshBuildRoutes() {
+  if (!currentMap.freeBuild) return;
+
+  const blockedCells = getOccupiedBuildCells();
+  robotSpawner.getAllRobots().forEach((enemy) => {
+    if (!enemy.isEnemy || !enemy.parent || !enemy.route || enemy.isFlying) {
+      return;
+    }
+
+    enemy.route = getEnemyRoute(enemy.position, blockedCells);
+    enemy.waypointIndex = 1;
+  });
+
+  createPathIndicators(scene);
+
+  // The cell under the mouse needs checking again
+  if (buildCursor) {
+    buildCursor.visible = false;
+  }
+}
+
+// Find where a saved tower can be rebuilt: the nearest free marker, or its own
+// grid cell on free-build maps. Returns null if there is no room for it.
+function getRestorePosition(turretData) {
+  if (currentMap.freeBuild) {
+    const snapped = snapToBuildGrid(turretData.position);
+    const position = new THREE.Vector3(snapped.x, 0.1, snapped.z);
+    return getBuildError(position) ? null : position;
+  }
+
+  const marker = towerMarkers.find(
+    (marker) =>
+      marker.isEmpty &&
+      Math.abs(marker.position.x - turretData.position.x) < 5 &&
+      Math.abs(marker.position.z - turretData.position.z) < 5
+  );
+  return marker ? marker.position : null;
+}
+
 // Create path indicators for enemy approach routes
 function createPathIndicators(scene) {
-  // Get paths from the current map configuration
-  const pathPositions = currentMap.paths || [
-    { start: { x: -25, z: -25 }, end: { x: 0, z: 0 } },
-    { start: { x: -25, z: 25 }, end: { x: 0, z: 0 } },
-    { start: { x: 25, z: -25 }, end: { x: 0, z: 0 } },
-    { start: { x: 25, z: 25 }, end: { x: 0, z: 0 } },
-  ];
+  // Free-build routes change with every tower, so drop the old ones first
+  pathIndicators.forEach((indicator) => scene.remove(indicator));
+  pathIndicators = [];
+
+  // Draw the same routes the enemies walk, one per spawn point
+  const routes = getSpawnPositions().map((spawnPoint) =>
+    getEnemyRoute(spawnPoint)
+  );
 
-  pathPositions.forEach((path) => {
-    // Create dashed line to indicate path
-    const points = [
-      new THREE.Vector3(path.start.x, 0.1, path.start.z),
-      new THREE.Vector3(path.end.x, 0.1, path.end.z),
-    ];
+  routes.forEach((route) => {
+    // Create dashed line through every waypoint of the route
+    const points = route.map(
+      (waypoint) => new THREE.Vector3(waypoint.x, 0.1, waypoint.z)
+    );
 
     const lineGeometry = new THREE.BufferGeometry().setFromPoints(points);
     const lineMaterial = new THREE.LineDashedMaterial({
@@ -416,18 +676,20 @@ function createPathIndicators(scene) {
     const line = new THREE.Line(lineGeometry, lineMaterial);
     line.computeLineDistances(); // Required for dashed lines
     scene.add(line);
+    pathIndicators.push(line);
 
     // Add arrow indicator at start position
     const arrowGeometry = new THREE.ConeGeometry(0.5, 1, 8);
     const arrowMaterial = new THREE.MeshLambertMaterial({ color: 0xff0000 });
     const arrow = new THREE.Mesh(arrowGeometry, arrowMaterial);
 
-    // Position and rotate arrow to point toward center
-    arrow.position.set(path.start.x, 0.5, path.start.z);
-    arrow.lookAt(path.end.x, 0.5, path.end.z);
+    // Position and rotate arrow to point along the first leg of the route
+    arrow.position.set(route[0].x, 0.5, route[0].z);
+    arrow.lookAt(route[1].x, 0.5, route[1].z);
     arrow.rotateX(Math.PI / 2);
 
     scene.add(arrow);
+    pathIndicators.push(arrow);
   });
 }
 
@@ -465,8 +727,9 @@ function clearScene(scene) {
     }
   }
 
-  // Clear any remaining robots
+  // Clear any remaining robots and tower shots
   robotSpawner.clearAllRobots(scene);
+  clearTowerProjectiles(scene);
 }
 
 // Setup event listeners for defense mode
@@ -486,92 +749,247 @@ function setupDefenseEventListeners(scene) {
     for (let i = 0; i < intersects.length; i++) {
       const obj = intersects[i].object;
 
-      // Check if clicked on a placement marker
-      if (obj.isPlacementMarker && obj.isEmpty) {
-        // Play UI hover sound
-        audioManager.playUI("hover");
+      // Ignore hidden helpers like the range indicator
+      if (!obj.visible) continue;
 
-        // Check if we have any cores to place
-        if (window.capturedCores && window.capturedCores.length > 0) {
-          // Use ReactPortal to show tower placement menu instead
-          // This is handled by the React components now
-          document.dispatchEvent(
-            new CustomEvent("showTowerMenu", {
-              detail: {
-                marker: obj,
-                position: {
-                  x: obj.position.x,
-                  y: obj.position.y,
-                  z: obj.position.z,
-                },
-              },
-            })
-          );
-        } else {
-          // Play error sound
-          audioManager.playUI("back");
+      // Open the mainframe upgrades when the base is clicked
+      let baseObj = obj;
+      while (baseObj && !baseObj.isBase) {
+        baseObj = baseObj.parent;
+      }
 
-          // Instead of alert, dispatch event for React to handle
-          document.dispatchEvent(new CustomEvent("noAICores"));
-        }
+      if (baseObj) {
+        audioManager.playUI("click");
+        document.dispatchEvent(new CustomEvent("showMainframePanel"));
+        break;
+      }
+
+      // Check if clicked on part of a placed tower
+      let towerObj = obj;
+      while (towerObj && !towerObj.isTower) {
+        towerObj = towerObj.parent;
+      }
+
+      if (towerObj) {
+        pendingRelocationId = null;
+        audioManager.playUI("click");
+        document.dispatchEvent(
+          new CustomEvent("showTowerPanel", {
+            detail: { towerId: towerObj.towerData.id },
+          })
+        );
+        break;
+      }
+
+      // Free-build maps: build on, or move a tower to, any open grid cell
+      if (obj.isFloor && currentMap.freeBuild) {
+        handleFreeBuildClick(intersects[i].point);
+        break;
+      }
+
+      // Move a tower the player picked up from the tower panel
+      if (obj.isPlacementMarker && obj.isEmpty && pendingRelocationId) {
+        relocateTower(pendingRelocationId, obj);
+        pendingRelocationId = null;
+        break;
+      }
+
+      // Check if clicked on a placement marker
+      if (obj.isPlacementMarker && obj.isEmpty) {
+        openTowerMenu(obj);
         break;
       }
     }
   });
 
+  // Show which grid cell a tower would snap to on free-build maps
+  renderer.domElement.addEventListener("mousemove", function (event) {
+    // Towers listen on the scene to show their range and links on hover
+    scene.dispatchEvent({
+      type: "mousemove",
+      clientX: event.clientX,
+      clientY: event.clientY,
+    });
+
+    if (!currentMap.freeBuild || !buildCursor) return;
+
+    const point = getFloorPoint(event);
+    if (!point) {
+      buildCursor.visible = false;
+      return;
+    }
+
+    // Only check the spot again when the mouse moves to another cell
+    const snapped = snapToBuildGrid(point);
+    if (
+      buildCursor.visible &&
+      buildCursor.position.x === snapped.x &&
+      buildCursor.position.z === snapped.z
+    ) {
+      return;
+    }
+
+    const movingTower = pendingRelocationId
+      ? getTowerById(pendingRelocationId)
+      : null;
+    buildCursor.position.set(snapped.x, 0.05, snapped.z);
+    buildCursor.material.color.set(
+      getBuildError(snapped, movingTower) ? 0xff0000 : 0x00ff00
+    );
+    buildCursor.visible = true;
+  });
+
   // Add keyboard controls for wave management
   document.addEventListener("keydown", function (event) {
+    // Typing in a text field (e.g. the map editor) isn't a shortcut
+    if (["INPUT", "TEXTAREA"].includes(event.target.tagName)) return;
+
     if (event.code === "KeyN" && !waveInProgress) {
       startWave(currentWave + 1, scene);
     }
   });
 }
 
-// Create a defensive tower
-export function createTower(position, coreIndex, scene) {
-  // Get the captured cores array from window (set in GameCanvas)
-  const capturedCores = window.capturedCores || [];
+// Find where the mouse points on the floor, or null if it's off the map
+function getFloorPoint(event) {
+  const mouse = new THREE.Vector2();
+  mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
+  mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+
+  const raycaster = new THREE.Raycaster();
+  raycaster.setFromCamera(mouse, defenseCamera);
+
+  const floorPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+  const point = raycaster.ray.intersectPlane(floorPlane, new THREE.Vector3());
+  const halfSize = BUILD_GRID.size / 2;
+
+  if (!point || Math.abs(point.x) > halfSize || Math.abs(point.z) > halfSize) {
+    return null;
+  }
+  return point;
+}
+
+// Ask React for a tower type and core to build on a spot
+function openTowerMenu(marker) {
+  // Play UI hover sound
+  audioManager.playUI("hover");
+
+  // Check if we have any cores to place
+  if (getInventoryCores().length > 0) {
+    // Use ReactPortal to show tower placement menu instead
+    // This is handled by the React components now
+    document.dispatchEvent(
+      new CustomEvent("showTowerMenu", {
+        detail: {
+          marker,
+          position: {
+            x: marker.position.x,
+            y: marker.position.y,
+            z: marker.position.z,
+          },
+        },
+      })
+    );
+  } else {
+    // Play error sound
+    audioManager.playUI("back");
+
+    // Instead of alert, dispatch event for React to handle
+    document.dispatchEvent(new CustomEvent("noAICores"));
+  }
+}
+
+// Build on, or move a tower to, the grid cell under a click on a free-build map
+function handleFreeBuildClick(point) {
+  const snapped = snapToBuildGrid(point);
+  const position = new THREE.Vector3(snapped.x, 0.1, snapped.z);
+  const movingTower = pendingRelocationId
+    ? getTowerById(pendingRelocationId)
+    : null;
+
+  const error = getBuildError(position, movingTower);
+  if (error) {
+    audioManager.playUI("back");
+    document.dispatchEvent(
+      new CustomEvent("displayNotification", {
+        detail: { message: error, type: "error" },
+      })
+    );
+    return;
+  }
+
+  // Grid cells have no marker, so hand over a stand-in with the position
+  const spot = { position, isEmpty: true, markerId: -1 };
 
-  // If we have no cores or invalid index, return
-  if (!capturedCores.length || coreIndex >= capturedCores.length) return null;
+  if (movingTower) {
+    relocateTower(pendingRelocationId, spot);
+    pendingRelocationId = null;
+    return;
+  }
+
+  openTowerMenu(spot);
+}
 
-  const core = capturedCores[coreIndex];
+// Create a defensive tower
+export function createTower(
+  position,
+  coreId,
+  scene,
+  towerTypeId,
+  savedState = {}
+) {
+  // A rebuilt tower keeps the core installed in it; a new tower needs a core
+  // from the player's inventory
+  const isRebuild =
+    Boolean(savedState.id) && getInstalledCoreId(savedState.id) === coreId;
+  if (!isRebuild && !getInventoryCores().some((core) => core.id === coreId)) {
+    return null;
+  }
 
-  // Remove the core from the array (we'll dispatch an event to update React state)
-  const updatedCores = [...capturedCores];
-  updatedCores.splice(coreIndex, 1);
-  window.capturedCores = updatedCores;
+  // Free-build spots may have been blocked since the menu opened
+  const buildError = currentMap.freeBuild ? getBuildError(position) : null;
+  if (buildError) {
+    audioManager.playUI("back");
+    document.dispatchEvent(
+      new CustomEvent("displayNotification", {
+        detail: { message: buildError, type: "error" },
+      })
+    );
+    return null;
+  }
 
   // Play tower placement sound
   audioManager.playTowerSound("place");
 
-  // Dispatch event to update React state
-  document.dispatchEvent(
-    new CustomEvent("updateCores", { detail: updatedCores })
-  );
-
   // Create a persistent tower data object for tracking
   const towerData = {
     position: { x: position.x, y: position.y, z: position.z },
-    core: core,
+    coreId, // The core itself lives in the core ledger
     towerType: null, // Will be set below
     markerId: getTowerMarkerIdByPosition(position),
+    id: savedState.id || nextTowerId++,
+    upgradeLevel: savedState.upgradeLevel || 0,
+    targetMode: savedState.targetMode || DEFAULT_TARGET_MODE,
+    targetFilter: savedState.targetFilter || null, // Robot type ID shot first
+    health: savedState.health, // Set below once the tower type is known
   };
+  nextTowerId = Math.max(nextTowerId, towerData.id + 1);
 
-  // Different tower types
-  const towerTypes = {
-    basic: { color: 0xaaaaaa, range: 8, damage: 5, rate: 1 },
-    cannon: { color: 0x880000, range: 6, damage: 15, rate: 0.5 },
-    laser: { color: 0x00ff00, range: 12, damage: 3, rate: 2 },
-    tesla: { color: 0x8800ff, range: 4, damage: 10, rate: 1.5 },
-  };
+  // Rebuilt towers keep their ID and core; only new ones use up a core
+  if (!isRebuild) {
+    installCore(coreId, towerData.id);
+    runStats.coresUsed++;
+  }
 
-  // Select tower type
-  const towerType = Object.keys(towerTypes)[randomInt(0, 3)];
-  const baseStats = towerTypes[towerType];
+  // Use the chosen tower type, falling back to the basic tower
+  const baseStats = getTowerType(towerTypeId) || getTowerType("basic");
+  const towerType = baseStats.id;
 
   // Store the tower type in the tower data
   towerData.towerType = towerType;
+  if (towerData.health === undefined) {
+    towerData.health = baseStats.health;
+  }
 
   // Create the tower
   const towerGroup = new THREE.Group();
@@ -631,50 +1049,35 @@ export function createTower(position, coreIndex, scene) {
   rangeIndicator.visible = false;
   towerGroup.add(rangeIndicator);
 
+  // Lines to linked towers, shown on hover like the range
+  const linkLines = new THREE.Group();
+  linkLines.visible = false;
+  towerGroup.add(linkLines);
+
   // Position the tower
   towerGroup.position.set(position.x, position.y, position.z);
 
   // Tower properties
   towerGroup.type = towerType;
-  towerGroup.range = baseStats.range;
-  towerGroup.damage = baseStats.damage;
-  towerGroup.fireRate = baseStats.rate;
+  towerGroup.baseRange = baseStats.range;
+  towerGroup.maxHealth = baseStats.health;
   towerGroup.lastFired = 0;
+  towerGroup.lastHealed = 0;
   towerGroup.rangeIndicator = rangeIndicator;
+  towerGroup.linkLines = linkLines;
+  towerGroup.linkedTowers = [];
+  towerGroup.synergyMultipliers = {};
   towerGroup.turretGroup = turretGroup; // Reference to the turret group for rotation
+  towerGroup.turret = turret;
 
   // Apply core bonuses
-  if (core) {
-    console.log(
-      `Applying ${core.type} core (${core.value}) to ${towerType} tower.`
-    );
+  applyCoreColor(towerGroup);
 
-    switch (core.value) {
-      case "speed":
-        towerGroup.fireRate *= 1 + 0.2 * core.power;
-        turret.material.color.setHex(0xff0000);
-        break;
-      case "power":
-        towerGroup.damage *= 1 + 0.3 * core.power;
-        turret.material.color.setHex(0x0000ff);
-        break;
-      case "range":
-        towerGroup.range *= 1 + 0.25 * core.power;
-        rangeIndicator.scale.set(
-          1 + 0.25 * core.power,
-          1 + 0.25 * core.power,
-          1
-        );
-        turret.material.color.setHex(0xffff00);
-        break;
-      case "healing":
-        // Healing towers periodically repair other towers and the base
-        towerGroup.healAmount = 2 * core.power;
-        towerGroup.lastHealed = 0;
-        turret.material.color.setHex(0x00ffff);
-        break;
-    }
-  }
+  // Calculate stats from the tower type, core and upgrades
+  applyTowerStats(towerGroup);
+
+  // Health bar above the turret
+  createTowerHealthBar(towerGroup);
 
   // Add mouse event listeners for range display
   const onMouseMove = function (event) {
@@ -689,6 +1092,7 @@ export function createTower(position, coreIndex, scene) {
 
     if (intersects.length > 0) {
       rangeIndicator.visible = true;
+      linkLines.visible = true;
       // Play hover sound if not recently played
       if (
         !towerGroup.lastHoverSound ||
@@ -699,10 +1103,12 @@ export function createTower(position, coreIndex, scene) {
       }
     } else {
       rangeIndicator.visible = false;
+      linkLines.visible = false;
     }
   };
 
   scene.addEventListener("mousemove", onMouseMove);
+  towerGroup.onMouseMove = onMouseMove;
 
   // Add the tower to the scene
   scene.add(towerGroup);
@@ -724,6 +1130,10 @@ export function createTower(position, coreIndex, scene) {
   // Add to the placed turrets array for persistence
   placedTurrets.push(towerData);
 
+  // Robots re-path around the new tower
+  refreshBuildRoutes();
+  refreshTowerSynergies();
+
   // Dispatch event to update React state
   document.dispatchEvent(
     new CustomEvent("updatePlacedTurrets", { detail: placedTurrets })
@@ -732,174 +1142,686 @@ export function createTower(position, coreIndex, scene) {
   return towerGroup;
 }
 
-// Start a wave of attacking robots
-function startWave(waveNumber, scene) {
-  if (waveInProgress) {
-    // Show notification that a wave is already in progress
-    document.dispatchEvent(
-      new CustomEvent("displayNotification", {
-        detail: {
-          message: "Cannot start wave: A wave is already in progress!",
-          type: "error",
-        },
-      })
-    );
-    return;
-  }
+// Tint the turret to show which kind of core is installed
+function applyCoreColor(tower) {
+  const core = getCore(tower.towerData.coreId);
+  if (!core) return;
 
-  waveInProgress = true;
-  currentWave = waveNumber;
-  console.log(`Starting wave ${waveNumber}`);
+  console.log(
+    `Applying ${core.type} core (${core.value}) to ${tower.type} tower.`
+  );
 
-  // Play wave start sound
-  audioManager.playGameSound("wave-start");
+  switch (core.value) {
+    case "speed":
+      tower.turret.material.color.setHex(0xff0000);
+      break;
+    case "power":
+      tower.turret.material.color.setHex(0x0000ff);
+      break;
+    case "range":
+      tower.turret.material.color.setHex(0xffff00);
+      break;
+    case "healing":
+      // Healing towers periodically repair other towers and the base
+      tower.turret.material.color.setHex(0x00ffff);
+      break;
+  }
 
-  // Dispatch wave started event for React UI
-  document.dispatchEvent(
-    new CustomEvent("waveStarted", {
-      detail: { waveNumber: waveNumber },
-    })
-  );
+  // Cores above common make the turret glow in their rarity's color
+  const rarity = getCoreRarity(core);
+  tower.glowColor = rarity.id === "common" ? 0x000000 : rarity.color;
+  tower.turret.material.emissive.setHex(tower.glowColor);
+  tower.turret.material.emissiveIntensity = 0.4;
+}
 
-  const numEnemies = 5 + waveNumber * 2;
+// Recalculate a tower's combat stats from its type, core and upgrade level
+function applyTowerStats(tower) {
+  const { towerType, coreId, upgradeLevel } = tower.towerData;
+  const stats = getTowerStats(
+    towerType,
+    getCore(coreId),
+    upgradeLevel,
+    tower.synergyMultipliers
+  );
 
-  // Use spawn points from the current map
-  const spawnPositions = currentMap.spawnPoints || [
-    { x: -25, z: -25 },
-    { x: -25, z: 25 },
-    { x: 25, z: -25 },
-    { x: 25, z: 25 },
-  ];
+  tower.range = stats.range;
+  tower.damage = stats.damage;
+  tower.fireRate = stats.fireRate;
+  tower.healAmount = stats.healAmount;
+  tower.healInterval = stats.healInterval;
+  tower.effects = stats.effects;
+  tower.statusEffects = stats.statusEffects;
 
-  let enemiesSpawned = 0;
-  let enemiesAlive = numEnemies;
+  const rangeScale = stats.range / tower.baseRange;
+  tower.rangeIndicator.scale.set(rangeScale, rangeScale, 1);
 
-  // Dispatch countdown event for React to handle UI
-  document.dispatchEvent(
-    new CustomEvent("waveCountdown", {
-      detail: { seconds: 3 },
-    })
-  );
+  updateUpgradePips(tower);
+}
 
-  // Start spawning enemies after countdown
-  setTimeout(() => {
-    const spawnInterval = setInterval(() => {
-      if (enemiesSpawned >= numEnemies) {
-        clearInterval(spawnInterval);
-        return;
-      }
+// Show one small light on the tower base per purchased upgrade
+function updateUpgradePips(tower) {
+  if (tower.upgradePips) {
+    tower.remove(tower.upgradePips);
+  }
 
-      const spawnPos = spawnPositions[randomInt(0, spawnPositions.length - 1)];
+  const pips = new THREE.Group();
+  for (let i = 0; i < tower.towerData.upgradeLevel; i++) {
+    const pip = new THREE.Mesh(
+      new THREE.BoxGeometry(0.3, 0.3, 0.3),
+      new THREE.MeshBasicMaterial({ color: 0x33ff33 })
+    );
+    pip.position.set(-0.6 + i * 0.6, 0.6, 1.05);
+    pips.add(pip);
+  }
 
-      // Create enemy robot at spawn position - ensure scene is passed correctly
-      const enemy = robotSpawner.spawnRobot(spawnPos.x, spawnPos.z, scene);
+  tower.upgradePips = pips;
+  tower.add(pips);
+}
 
-      if (enemy) {
-        // Play robot spawn sound
-        audioManager.playRobotSound("detect");
+// Link towers that stand close together, then recalculate the bonuses they
+// give each other and the fields formed between linked pairs
+function refreshTowerSynergies() {
+  const towers = scene.children.filter((obj) => obj.isTower);
 
-        // Add enemy-specific properties
-        enemy.isEnemy = true;
-        enemy.target = new THREE.Vector3(
-          currentMap.basePosition?.x || 0,
-          0,
-          currentMap.basePosition?.z || 0
-        ); // Target the central base
-        enemy.health *= 1 + waveNumber * 0.2; // Scale health with wave number
-        enemy.maxHealth = enemy.health;
+  synergyFields.forEach((field) => scene.remove(field.mesh));
+  synergyFields = [];
 
-        // Debug visualization - make enemies more visible
-        if (enemy.children.length > 0) {
-          enemy.children[0].material.color.set(0xff0000);
-        }
+  towers.forEach((tower) => {
+    tower.linkedTowers = towers.filter(
+      (other) =>
+        other !== tower &&
+        other.position.distanceTo(tower.position) <= SYNERGY_LINK_RADIUS
+    );
+    tower.synergyMultipliers = getSynergyMultipliers(
+      tower.linkedTowers.map((other) => getCore(other.towerData.coreId))
+    );
+    applyTowerStats(tower);
+    updateLinkLines(tower);
+  });
 
-        // Add event listener for enemy death
-        enemy.onDestroy = function () {
-          enemiesAlive--;
-
-          // Check if wave is complete
-          if (enemiesAlive <= 0) {
-            waveInProgress = false;
-
-            // Play wave complete sound
-            audioManager.playGameSound("wave-complete");
-
-            document.dispatchEvent(
-              new CustomEvent("updateCores", { detail: window.capturedCores })
-            );
-            // Dispatch wave complete event for React UI
-            document.dispatchEvent(
-              new CustomEvent("waveComplete", {
-                detail: { waveNumber: waveNumber },
-              })
-            );
-          }
-        };
+  // One field per linked pair, created from the first tower of the pair
+  towers.forEach((tower, index) => {
+    tower.linkedTowers.forEach((other) => {
+      if (towers.indexOf(other) < index) return;
 
-        console.log(`Spawned enemy at ${spawnPos.x}, ${spawnPos.z}`);
-        enemiesSpawned++;
-      } else {
-        console.error("Failed to spawn enemy!");
+      const synergy = getTypeSynergy(tower.type, other.type);
+      if (synergy) {
+        synergyFields.push(createSynergyField(tower, other, synergy));
       }
-    }, 1000);
-  }, 3000); // 3 second countdown
-
-  return numEnemies;
+    });
+  });
 }
 
-// Update tower targeting and firing
-function updateTowers(delta, scene) {
-  scene.children.forEach((obj) => {
-    if (obj.isTower) {
-      const now = Date.now();
-
-      // Can the tower fire?
-      if (now - obj.lastFired > 1000 / obj.fireRate) {
-        // Find closest enemy in range
-        let closestEnemy = null;
-        let closestDistance = Infinity;
-
-        robotSpawner.getAllRobots().forEach((enemy) => {
-          if (enemy.isEnemy) {
-            const distance = enemy.position.distanceTo(obj.position);
-
-            if (distance < obj.range && distance < closestDistance) {
-              closestEnemy = enemy;
-              closestDistance = distance;
-            }
-          }
-        });
+// Redraw the lines from a tower to the towers linked to it
+function updateLinkLines(tower) {
+  tower.linkLines.clear();
 
-        if (closestEnemy) {
-          // Rotate the entire turret group to face the enemy
-          obj.turretGroup.lookAt(
-            closestEnemy.position.x,
-            obj.turretGroup.position.y,
-            closestEnemy.position.z
-          );
+  tower.linkedTowers.forEach((other) => {
+    const offset = new THREE.Vector3().subVectors(
+      other.position,
+      tower.position
+    );
+    const line = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints([
+        new THREE.Vector3(0, 1.75, 0),
+        new THREE.Vector3(offset.x, 1.75, offset.z),
+      ]),
+      new THREE.LineBasicMaterial({ color: 0x00ffff })
+    );
+    tower.linkLines.add(line);
+  });
+}
 
-          // Tower fires at enemy
-          obj.lastFired = now;
+// Draw the field between two linked towers and keep what it needs to deal damage
+function createSynergyField(towerA, towerB, synergy) {
+  const start = towerA.turretGroup.getWorldPosition(new THREE.Vector3());
+  const end = towerB.turretGroup.getWorldPosition(new THREE.Vector3());
 
-          // Create laser effect
-          fireTowerWeapon(obj, closestEnemy, scene);
+  const mesh = new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints([start, end]),
+    new THREE.LineBasicMaterial({
+      color: synergy.color,
+      transparent: true,
+      opacity: 0.6,
+    })
+  );
+  scene.add(mesh);
 
-          // Apply damage to enemy
-          const destroyed = robotSpawner.damageRobot(
-            closestEnemy,
-            obj.damage,
-            scene
-          );
+  return {
+    synergy,
+    mesh,
+    segment: new THREE.Line3(start, end),
+    tickTimer: 0,
+  };
+}
 
-          // If enemy destroyed, call its onDestroy callback
-          if (destroyed && closestEnemy.onDestroy) {
-            closestEnemy.onDestroy();
-          }
+// Damage the enemies passing through synergy fields
+function updateSynergyFields(delta) {
+  if (synergyFields.length === 0 || delta <= 0) return;
+
+  const enemies = robotSpawner
+    .getAllRobots()
+    .filter((enemy) => enemy.isEnemy && enemy.parent);
+  const closestPoint = new THREE.Vector3();
+
+  synergyFields.forEach((field) => {
+    // Flicker so the field reads as live current
+    field.mesh.material.opacity = 0.4 + Math.random() * 0.4;
+
+    // Zap in ticks rather than every frame
+    const { tickInterval, damagePerSecond } = field.synergy;
+    field.tickTimer += delta;
+    if (field.tickTimer < tickInterval) return;
+    field.tickTimer -= tickInterval;
+
+    enemies.forEach((enemy) => {
+      if (!enemy.parent) return; // Killed by an earlier field this frame
+
+      field.segment.closestPointToPoint(enemy.position, true, closestPoint);
+      const distance = Math.hypot(
+        enemy.position.x - closestPoint.x,
+        enemy.position.z - closestPoint.z
+      );
+      if (distance < field.synergy.width) {
+        damageEnemy(
+          enemy,
+          damagePerSecond * tickInterval,
+          scene,
+          field.synergy.id
+        );
+      }
+    });
+  });
+}
+
+// Find a placed tower in the scene by its ID
+function getTowerById(towerId) {
+  return scene.children.find(
+    (obj) => obj.isTower && obj.towerData.id === towerId
+  );
+}
+
+// Describe a tower for the React tower panel
+export function getTowerInfo(towerId) {
+  const tower = getTowerById(towerId);
+  if (!tower) return null;
+
+  return {
+    ...tower.towerData,
+    core: getCore(tower.towerData.coreId),
+    range: tower.range,
+    damage: tower.damage,
+    fireRate: tower.fireRate,
+    healAmount: tower.healAmount,
+    maxHealth: tower.maxHealth,
+    linkedTowerCount: tower.linkedTowers.length,
+    synergyDescription: getSynergyDescription(tower.synergyMultipliers),
+    nextUpgrade: getNextUpgrade(
+      tower.towerData.towerType,
+      tower.towerData.upgradeLevel
+    ),
+  };
+}
+
+// Buy the next upgrade tier for a tower (scrap is paid by the caller)
+export function upgradeTower(towerId) {
+  const tower = getTowerById(towerId);
+  if (!tower) return false;
+
+  const upgrade = getNextUpgrade(
+    tower.towerData.towerType,
+    tower.towerData.upgradeLevel
+  );
+  if (!upgrade) return false;
+
+  tower.towerData.upgradeLevel++;
+  applyTowerStats(tower);
+
+  audioManager.playTowerSound("place");
+  createHealingEffect(tower.position, scene);
+
+  // Upgrade levels live in placedTurrets so they survive restores
+  document.dispatchEvent(
+    new CustomEvent("updatePlacedTurrets", { detail: [...placedTurrets] })
+  );
+
+  return true;
+}
+
+// Find the placement marker under a tower
+function getMarkerForTower(tower) {
+  return towerMarkers.find(
+    (m) =>
+      Math.abs(m.position.x - tower.position.x) < 0.1 &&
+      Math.abs(m.position.z - tower.position.z) < 0.1
+  );
+}
+
+// Sell a tower: free its marker and return its core (scrap refund is paid by the caller)
+export function sellTower(towerId) {
+  const tower = getTowerById(towerId);
+  if (!tower) return false;
+
+  removeTower(tower);
+  returnTowerCore(tower);
+
+  audioManager.playUI("back");
+  updateDefenseUI();
+
+  return true;
+}
+
+// Take a tower off the map and out of placedTurrets
+function removeTower(tower) {
+  const towerId = tower.towerData.id;
+
+  // Free the marker so a new tower can be built there
+  const marker = getMarkerForTower(tower);
+  if (marker) {
+    marker.isEmpty = true;
+  }
+
+  scene.removeEventListener("mousemove", tower.onMouseMove);
+  scene.remove(tower);
+
+  if (pendingRelocationId === towerId) {
+    pendingRelocationId = null;
+  }
+
+  placedTurrets = placedTurrets.filter((turret) => turret.id !== towerId);
+  document.dispatchEvent(
+    new CustomEvent("updatePlacedTurrets", { detail: placedTurrets })
+  );
+
+  // Robots can take the shortcut the tower was blocking
+  refreshBuildRoutes();
+  refreshTowerSynergies();
+}
+
+// Give a removed tower's core back to the player
+function returnTowerCore(tower) {
+  notifyReturnedCores([returnCore(tower.towerData.coreId)]);
+}
+
+// Build the health bar shown above a tower
+function createTowerHealthBar(tower) {
+  const healthBar = new THREE.Group();
+  healthBar.position.y = 3.2;
+
+  const background = new THREE.Mesh(
+    new THREE.PlaneGeometry(2, 0.25),
+    new THREE.MeshBasicMaterial({ color: 0x333333 })
+  );
+  healthBar.add(background);
+
+  const fill = new THREE.Mesh(
+    new THREE.PlaneGeometry(2, 0.25),
+    new THREE.MeshBasicMaterial({ color: 0x00ff00 })
+  );
+  fill.position.z = 0.01;
+  healthBar.add(fill);
+
+  tower.healthBar = healthBar;
+  tower.healthBarFill = fill;
+  tower.add(healthBar);
+
+  updateTowerHealthBar(tower);
+}
+
+// Resize and recolor a tower's health bar
+function updateTowerHealthBar(tower) {
+  const ratio = Math.max(0, tower.towerData.health / tower.maxHealth);
+
+  tower.healthBarFill.scale.x = Math.max(0.001, ratio);
+  tower.healthBarFill.position.x = -(1 - ratio); // Keep the bar left-aligned
+  tower.healthBarFill.material.color.setHex(
+    ratio > 0.5 ? 0x00ff00 : ratio > 0.25 ? 0xffff00 : 0xff0000
+  );
+}
+
+// Damage a tower; destroys it when its health runs out
+function damageTower(tower, damage) {
+  if (!tower.parent) return;
+
+  tower.towerData.health -= damage * getDifficulty().towerDamageMultiplier;
+  updateTowerHealthBar(tower);
+
+  // Flash the turret red, then back to its rarity glow
+  tower.turret.material.emissive.setHex(0xff0000);
+  setGameTimeout(
+    () => tower.turret.material.emissive.setHex(tower.glowColor),
+    0.15
+  );
+
+  if (tower.towerData.health <= 0) {
+    destroyTower(tower);
+  }
+}
+
+// Destroy a tower; whether its core survives depends on difficulty
+function destroyTower(tower) {
+  createExplosion(tower.position, scene);
+  audioManager.playGameSound("base-hit");
+
+  removeTower(tower);
+
+  let message;
+  if (getDifficulty().returnCoreOnTowerDestroyed) {
+    returnTowerCore(tower);
+    message = "A tower was destroyed! Its core was recovered.";
+  } else {
+    loseCore(tower.towerData.coreId);
+    message = "A tower was destroyed and its core was lost!";
+  }
+
+  document.dispatchEvent(
+    new CustomEvent("towerDestroyed", {
+      detail: { towerId: tower.towerData.id },
+    })
+  );
+  document.dispatchEvent(
+    new CustomEvent("displayNotification", {
+      detail: { message, type: "error" },
+    })
+  );
+
+  updateDefenseUI();
+}
+
+// Repair a tower up to its maximum health
+function healTower(tower, amount) {
+  tower.towerData.health = Math.min(
+    tower.maxHealth,
+    tower.towerData.health + amount
+  );
+  updateTowerHealthBar(tower);
+}
+
+// Wait for the player to click an empty marker to move a tower onto
+export function startTowerRelocation(towerId) {
+  if (!getTowerById(towerId)) return false;
+
+  pendingRelocationId = towerId;
+
+  document.dispatchEvent(
+    new CustomEvent("displayNotification", {
+      detail: {
+        message: "Click an empty tower spot to move the tower there.",
+        type: "info",
+      },
+    })
+  );
+
+  return true;
+}
+
+// Move a tower onto another empty marker (or grid cell on free-build maps)
+function relocateTower(towerId, newMarker) {
+  const tower = getTowerById(towerId);
+  if (!tower || !newMarker.isEmpty) return false;
+
+  const oldMarker = getMarkerForTower(tower);
+  if (oldMarker) {
+    oldMarker.isEmpty = true;
+  }
+  newMarker.isEmpty = false;
+
+  tower.position.set(
+    newMarker.position.x,
+    newMarker.position.y,
+    newMarker.position.z
+  );
+  tower.towerData.position = {
+    x: newMarker.position.x,
+    y: newMarker.position.y,
+    z: newMarker.position.z,
+  };
+  tower.towerData.markerId = newMarker.markerId;
+
+  audioManager.playTowerSound("place");
+
+  document.dispatchEvent(
+    new CustomEvent("updatePlacedTurrets", { detail: [...placedTurrets] })
+  );
+
+  refreshBuildRoutes();
+  refreshTowerSynergies();
+
+  return true;
+}
+
+// Replace a tower's core with one from the player's cores
+export function swapTowerCore(towerId, coreId) {
+  const tower = getTowerById(towerId);
+  if (!tower || !swapCore(towerId, coreId)) return false;
+
+  // The old core goes back to the player's cores
+  tower.towerData.coreId = coreId;
+  applyCoreColor(tower);
+
+  // The new core changes what this tower gives its neighbors
+  refreshTowerSynergies();
+
+  audioManager.playTowerSound("place");
+
+  document.dispatchEvent(
+    new CustomEvent("updatePlacedTurrets", { detail: [...placedTurrets] })
+  );
+
+  return true;
+}
+
+// Spawn one enemy from a wave group and send it along the map path
+function spawnWaveEnemy(group, spawnPos, onEnemyRemoved, scene) {
+  // Create enemy robot at spawn position - ensure scene is passed correctly
+  const enemy = robotSpawner.spawnRobot(
+    spawnPos.x,
+    spawnPos.z,
+    scene,
+    group.type
+  );
+
+  if (!enemy) {
+    console.error("Failed to spawn enemy!");
+    onEnemyRemoved();
+    return null;
+  }
+
+  // Play robot spawn sound
+  audioManager.playRobotSound("detect");
+
+  // Add enemy-specific properties
+  enemy.isEnemy = true;
+  enemy.route = getRouteFor(enemy, spawnPos);
+  enemy.waypointIndex = 1;
+  enemy.pathProgress = 0; // Distance walked along the route
+
+  // Apply the group's stat multipliers
+  const multipliers = group.multipliers || {};
+  enemy.health *= multipliers.health || 1;
+  enemy.maxHealth = enemy.health;
+  enemy.speed *= multipliers.speed || 1;
+  enemy.attack *= multipliers.attack || 1;
+
+  if (enemy.isBoss) {
+    startBossEncounter(enemy);
+  } else if (enemy.children.length > 0) {
+    // Debug visualization - make enemies more visible
+    enemy.children[0].material.color.set(0xff0000);
+  }
+
+  // Count kills for the score; escaping to the base also removes the enemy
+  enemy.onDestroy = () => {
+    if (enemy.health <= 0) {
+      runStats.enemiesKilled++;
+
+      // Credit the kill to the core in the tower that landed the last hit
+      if (enemy.lastHitBy) {
+        recordCoreKill(enemy.lastHitBy.towerData.coreId);
+      }
+    }
+    onEnemyRemoved();
+  };
+
+  console.log(`Spawned ${group.type} at ${spawnPos.x}, ${spawnPos.z}`);
+  return enemy;
+}
+
+// Stop any spawn timers left over from the current wave
+function clearWaveSpawnTimers() {
+  waveSpawnTimers.forEach(clearGameTimer);
+  waveSpawnTimers = [];
+}
+
+// Start a wave of attacking robots
+function startWave(waveNumber, scene) {
+  if (waveInProgress) {
+    // Show notification that a wave is already in progress
+    document.dispatchEvent(
+      new CustomEvent("displayNotification", {
+        detail: {
+          message: "Cannot start wave: A wave is already in progress!",
+          type: "error",
+        },
+      })
+    );
+    return;
+  }
+
+  waveInProgress = true;
+  currentWave = waveNumber;
+  const token = ++waveToken;
+  clearWaveSpawnTimers();
+  clearEndlessWaveTimer();
+  console.log(`Starting wave ${waveNumber}`);
+
+  // Play wave start sound
+  audioManager.playGameSound("wave-start");
+
+  // Dispatch wave started event for React UI
+  document.dispatchEvent(
+    new CustomEvent("waveStarted", {
+      detail: { waveNumber: waveNumber },
+    })
+  );
+
+  // Scripted waves from the map, then procedurally generated ones
+  const wave = getWaveDefinition(currentMap, waveNumber);
+  const rewards = getWaveRewards(currentMap, waveNumber, wave);
+  baseDamagedThisWave = false;
+  const numEnemies = wave.groups.reduce((sum, group) => sum + group.count, 0);
+
+  // Use spawn points from the current map
+  const spawnPositions = getSpawnPositions();
+
+  let enemiesAlive = numEnemies;
+
+  // Called whenever an enemy dies, reaches the base or fails to spawn
+  const onEnemyRemoved = () => {
+    if (token !== waveToken) return; // The wave was cut short
+    enemiesAlive--;
+
+    // Check if wave is complete
+    if (enemiesAlive <= 0) {
+      waveInProgress = false;
+      runStats.wavesSurvived = waveNumber;
+
+      // Pay out the wave's scrap, plus the bonus for keeping the base untouched
+      const perfect = !baseDamagedThisWave;
+      const scrap = { ...rewards.scrap };
+      if (perfect) {
+        Object.entries(rewards.perfectBonus).forEach(([scrapType, amount]) => {
+          scrap[scrapType] = (scrap[scrapType] || 0) + amount;
+        });
+      }
+
+      // Play wave complete sound
+      audioManager.playGameSound("wave-complete");
+
+      // Dispatch wave complete event for React UI
+      document.dispatchEvent(
+        new CustomEvent("waveComplete", {
+          detail: { waveNumber: waveNumber, rewards: { scrap, perfect } },
+        })
+      );
+
+      if (endlessMode) {
+        scheduleEndlessWave(scene);
+      }
+    }
+  };
+
+  // Dispatch countdown event for React to handle UI
+  document.dispatchEvent(
+    new CustomEvent("waveCountdown", {
+      detail: { seconds: 3 },
+    })
+  );
+
+  // Start each spawn group after the countdown and its own delay
+  wave.groups.forEach((group) => {
+    let groupSpawned = 0;
+
+    const startTimer = setGameTimeout(() => {
+      const spawnInterval = setGameInterval(() => {
+        if (groupSpawned >= group.count) {
+          clearGameTimer(spawnInterval);
+          return;
+        }
+        groupSpawned++;
+
+        const spawnPos =
+          spawnPositions[group.spawnPoint] ||
+          spawnPositions[randomInt(0, spawnPositions.length - 1)];
+
+        const enemy = spawnWaveEnemy(group, spawnPos, onEnemyRemoved, scene);
+
+        // Kills can drop cores at the wave's rate; bosses always drop one
+        if (enemy && !enemy.isBoss) {
+          enemy.coreDropChance = rewards.coreDropChance;
+        }
+      }, (group.interval || 1000) / 1000);
+      waveSpawnTimers.push(spawnInterval);
+    }, (3000 + (group.delay || 0)) / 1000); // 3 second countdown
+    waveSpawnTimers.push(startTimer);
+  });
+
+  return numEnemies;
+}
+
+// Update tower targeting and firing
+function updateTowers(delta, scene) {
+  scene.children.forEach((obj) => {
+    if (obj.isTower) {
+      const now = getGameTime();
+
+      // Keep the health bar facing the camera
+      obj.healthBar.quaternion.copy(defenseCamera.quaternion);
+
+      // Lasers keep a continuous beam on their target
+      if (obj.type === "laser") {
+        const target = selectTarget(obj);
+        if (target) {
+          aimTurret(obj, target);
+          updateLaserBeam(obj, target, delta, scene);
+        } else {
+          stopLaserBeam(obj, scene);
+        }
+      } else if (now - obj.lastFired > 1 / obj.fireRate) {
+        // Pick an enemy in range using the tower's targeting mode
+        const target = selectTarget(obj);
+
+        if (target) {
+          aimTurret(obj, target);
+
+          // Tower fires at enemy; damage is dealt when the shot lands
+          obj.lastFired = now;
+          fireTowerProjectile(obj, target, scene);
         }
       }
 
       // Special case for healing towers
-      if (obj.healAmount && now - obj.lastHealed > 3000) {
+      if (obj.healAmount && now - obj.lastHealed > obj.healInterval) {
         obj.lastHealed = now;
 
         // Heal the base if it's nearby
@@ -922,7 +1844,8 @@ function updateTowers(delta, scene) {
             otherObj !== obj &&
             obj.position.distanceTo(otherObj.position) < obj.range
           ) {
-            // Healing effect on other tower
+            // Repair the other tower
+            healTower(otherObj, obj.healAmount);
             createHealingEffect(otherObj.position, scene);
           }
         });
@@ -931,240 +1854,84 @@ function updateTowers(delta, scene) {
   });
 }
 
-// Fire tower weapon with visual effects
-function fireTowerWeapon(tower, target, scene) {
-  // Calculate positions
-  const start = new THREE.Vector3().setFromMatrixPosition(
-    tower.turretGroup.children[1].matrixWorld
-  ); // Get barrel world position
-
-  const end = new THREE.Vector3(
+// Rotate the entire turret group to face the enemy
+function aimTurret(tower, target) {
+  tower.turretGroup.lookAt(
     target.position.x,
-    target.position.y,
+    tower.turretGroup.position.y,
     target.position.z
   );
-  let distance = 0;
-
-  // Play appropriate tower weapon sound
-  switch (tower.type) {
-    case "laser":
-      audioManager.playTowerSound("laser");
-      break;
-    case "tesla":
-      audioManager.playTowerSound("tesla");
-      break;
-    case "cannon":
-      audioManager.playTowerSound("cannon");
-      break;
-    default:
-      audioManager.playTowerSound("shoot");
-  }
-
-  // Determine effect based on tower type
-  switch (tower.type) {
-    case "laser":
-      // Create laser beam
-      const laserGeometry = new THREE.CylinderGeometry(0.05, 0.05, 1, 8);
-      const laserMaterial = new THREE.MeshBasicMaterial({
-        color: 0x00ff00,
-        transparent: true,
-        opacity: 0.7,
-      });
-      const laser = new THREE.Mesh(laserGeometry, laserMaterial);
-
-      // Position and scale laser to reach target
-      distance = start.distanceTo(end);
-      laser.scale.y = distance;
-
-      // Position at midpoint
-      const mid = new THREE.Vector3()
-        .addVectors(start, end)
-        .multiplyScalar(0.5);
-      laser.position.copy(mid);
-
-      // Orient toward target
-      laser.lookAt(end);
-      laser.rotateX(Math.PI / 2);
-
-      scene.add(laser);
-
-      // Remove after short delay
-      setTimeout(() => scene.remove(laser), 150);
-      break;
-
-    case "cannon":
-      // Create projectile
-      const projectileGeometry = new THREE.SphereGeometry(0.2, 8, 8);
-      const projectileMaterial = new THREE.MeshBasicMaterial({
-        color: 0xff0000,
-      });
-      const projectile = new THREE.Mesh(projectileGeometry, projectileMaterial);
-
-      // Start at tower
-      projectile.position.copy(start);
-      scene.add(projectile);
-
-      // Animate projectile
-      const direction = new THREE.Vector3().subVectors(end, start).normalize();
-      const speed = 0.5;
-      distance = 0;
-      const maxDistance = start.distanceTo(end);
-
-      function animateProjectile() {
-        projectile.position.add(direction.clone().multiplyScalar(speed));
-        distance += speed;
-
-        if (distance < maxDistance) {
-          requestAnimationFrame(animateProjectile);
-        } else {
-          // Create explosion at target
-          createExplosion(end, scene);
-          scene.remove(projectile);
-        }
-      }
-
-      animateProjectile();
-      break;
-
-    case "tesla":
-      // Create lightning effect
-      const numArcs = 5;
-      const points = [];
-
-      // Generate zigzag path from tower to target
-      points.push(start);
-
-      for (let i = 1; i < numArcs; i++) {
-        const t = i / numArcs;
-        const pos = new THREE.Vector3().lerpVectors(start, end, t);
-
-        // Add random offset
-        pos.x += (Math.random() - 0.5) * 1;
-        pos.y += (Math.random() - 0.5) * 1;
-        pos.z += (Math.random() - 0.5) * 1;
-
-        points.push(pos);
-      }
-
-      points.push(end);
-
-      // Create lightning segments
-      for (let i = 0; i < points.length - 1; i++) {
-        const segmentGeometry = new THREE.BufferGeometry().setFromPoints([
-          points[i],
-          points[i + 1],
-        ]);
-
-        const segmentMaterial = new THREE.LineBasicMaterial({
-          color: 0x8800ff,
-          linewidth: 3,
-        });
-
-        const segment = new THREE.Line(segmentGeometry, segmentMaterial);
-        scene.add(segment);
-
-        // Remove after short delay
-        setTimeout(() => scene.remove(segment), 100);
-      }
-      break;
-
-    default:
-      // Basic tower - simple beam
-      const beamGeometry = new THREE.CylinderGeometry(0.05, 0.05, 1, 8);
-      const beamMaterial = new THREE.MeshBasicMaterial({
-        color: 0xffff00,
-        transparent: true,
-        opacity: 0.5,
-      });
-      const beam = new THREE.Mesh(beamGeometry, beamMaterial);
-
-      // Position and scale beam to reach target
-      const beamDistance = start.distanceTo(end);
-      beam.scale.y = beamDistance;
-
-      // Position at midpoint
-      const beamMid = new THREE.Vector3()
-        .addVectors(start, end)
-        .multiplyScalar(0.5);
-      beam.position.copy(beamMid);
-
-      // Orient toward target
-      beam.lookAt(end);
-      beam.rotateX(Math.PI / 2);
-
-      scene.add(beam);
-
-      // Remove after short delay
-      setTimeout(() => scene.remove(beam), 100);
-  }
 }
 
-// Create explosion effect
-function createExplosion(position, scene) {
-  // Create particle group
-  const particleCount = 20;
-  const particleGroup = new THREE.Group();
-
-  // Create explosion particles
-  for (let i = 0; i < particleCount; i++) {
-    const size = 0.1 + Math.random() * 0.2;
-    const geometry = new THREE.SphereGeometry(size, 8, 8);
-
-    // Random color: orange, red, yellow
-    const colors = [0xff4500, 0xff0000, 0xffaa00];
-    const material = new THREE.MeshBasicMaterial({
-      color: colors[Math.floor(Math.random() * colors.length)],
-      transparent: true,
-    });
-
-    const particle = new THREE.Mesh(geometry, material);
-
-    // Set random direction
-    const speed = 0.05 + Math.random() * 0.1;
-    const angle = Math.random() * Math.PI * 2;
-    const elevation = Math.random() * Math.PI - Math.PI / 2;
-
-    particle.userData.velocity = new THREE.Vector3(
-      speed * Math.cos(angle) * Math.cos(elevation),
-      speed * Math.sin(elevation) + 0.05, // Add upward boost
-      speed * Math.sin(angle) * Math.cos(elevation)
-    );
-
-    // Set initial position
-    particle.position.copy(position);
-
-    particleGroup.add(particle);
+// Choose which enemy in range a tower shoots
+function selectTarget(tower) {
+  // Reach is measured from the turret so drones overhead stay in range
+  const turretPosition = tower.turretGroup.getWorldPosition(
+    new THREE.Vector3()
+  );
+  const hitsAir = canTargetAir(tower.type);
+  let inRange = getEnemiesNear(turretPosition, tower.range).filter(
+    (enemy) => hitsAir || !enemy.isFlying
+  );
+  if (inRange.length === 0) return null;
+
+  // Prefer the filtered robot type when any are in range
+  const { targetMode, targetFilter } = tower.towerData;
+  if (targetFilter) {
+    const preferred = inRange.filter((enemy) => enemy.typeId === targetFilter);
+    if (preferred.length > 0) {
+      inRange = preferred;
+    }
   }
 
-  scene.add(particleGroup);
-
-  // Animate the explosion
-  let lifetime = 0;
-  const maxLifetime = 30;
+  // Score each enemy; the highest score is shot
+  const score = (enemy) => {
+    switch (targetMode) {
+      case "first":
+        return enemy.pathProgress || 0;
+      case "last":
+        return -(enemy.pathProgress || 0);
+      case "strongest":
+        return enemy.health;
+      case "weakest":
+        return -enemy.health;
+      default:
+        return -enemy.position.distanceTo(tower.position);
+    }
+  };
 
-  function animateExplosion() {
-    lifetime++;
+  return inRange.reduce((best, enemy) =>
+    score(enemy) > score(best) ? enemy : best
+  );
+}
 
-    // Update each particle
-    particleGroup.children.forEach((particle) => {
-      // Move particle
-      particle.position.add(particle.userData.velocity);
+// Change how a tower picks its targets
+export function setTowerTargeting(towerId, targetMode, targetFilter = null) {
+  const tower = getTowerById(towerId);
+  if (!tower) return false;
 
-      // Apply gravity
-      particle.userData.velocity.y -= 0.002;
+  tower.towerData.targetMode = targetMode;
+  tower.towerData.targetFilter = targetFilter;
 
-      // Fade out
-      particle.material.opacity = 1 - lifetime / maxLifetime;
-    });
+  // Saved with the turret data so it survives restores
+  document.dispatchEvent(
+    new CustomEvent("updatePlacedTurrets", { detail: [...placedTurrets] })
+  );
 
-    if (lifetime < maxLifetime) {
-      requestAnimationFrame(animateExplosion);
-    } else {
-      scene.remove(particleGroup);
-    }
-  }
+  return true;
+}
 
-  animateExplosion();
+// Draw a short-lived beam between two points (sniper shots)
+function createBeam(from, to, color, scene) {
+  const geometry = new THREE.BufferGeometry().setFromPoints([
+    new THREE.Vector3(from.x, from.y + 1, from.z),
+    new THREE.Vector3(to.x, to.y + 1, to.z),
+  ]);
+  const material = new THREE.LineBasicMaterial({ color });
+  const arc = new THREE.Line(geometry, material);
+
+  scene.add(arc);
+  setTimeout(() => scene.remove(arc), 150);
 }
 
 // Create healing effect
@@ -1211,20 +1978,63 @@ function updateEnemies(delta) {
 
     robotSpawner.updateHealthBarBillboarding(enemy, defenseCamera);
 
-    // Move towards base
-    if (!(enemy.target instanceof THREE.Vector3)) {
-      enemy.target = new THREE.Vector3(
-        currentMap.basePosition?.x || 0,
-        0,
-        currentMap.basePosition?.z || 0
-      );
+    // Tick status effects; damage over time can destroy the enemy
+    const tickDamage = updateStatusEffects(enemy, delta);
+    if (tickDamage > 0 && damageEnemy(enemy, tickDamage, scene)) {
+      return;
     }
-    const direction = new THREE.Vector3();
-    direction.subVectors(enemy.target, enemy.position).normalize();
 
-    // Apply movement scaled by delta time
-    enemy.position.x += direction.x * enemy.speed * delta * 30;
-    enemy.position.z += direction.z * enemy.speed * delta * 30;
+    // Type-specific behavior (healing, sniping)
+    const behavior = getDefenseBehavior(enemy.typeId);
+    if (behavior.healRange) {
+      updateHealerEnemy(enemy, behavior, delta);
+    }
+    if (behavior.melee) {
+      updateMeleeEnemy(enemy, behavior, delta);
+    }
+    if (enemy.isBoss) {
+      updateBossEnemy(enemy, behavior, delta);
+    }
+    if (behavior.attackRange && updateSniperEnemy(enemy, behavior, delta)) {
+      enemy.velocity = new THREE.Vector3();
+      return; // Holding position while shooting
+    }
+
+    // Follow the route towards the base
+    if (!enemy.route) {
+      enemy.route = getRouteFor(enemy);
+      enemy.waypointIndex = 1;
+      enemy.pathProgress = 0;
+    }
+    const waypoint = enemy.route[enemy.waypointIndex];
+    const direction = new THREE.Vector3(
+      waypoint.x - enemy.position.x,
+      0,
+      waypoint.z - enemy.position.z
+    );
+    const distanceToWaypoint = direction.length();
+    direction.normalize();
+
+    // Apply movement scaled by delta time, without overshooting the waypoint
+    const speed =
+      enemy.speed *
+      getSprintMultiplier(enemy, behavior, delta) *
+      getSpeedMultiplier(enemy);
+    const step = Math.min(speed * delta * 30, distanceToWaypoint);
+    enemy.position.x += direction.x * step;
+    enemy.position.z += direction.z * step;
+    enemy.pathProgress += step;
+
+    // Towers lead their shots using this velocity
+    enemy.velocity = direction
+      .clone()
+      .multiplyScalar(delta > 0 ? step / delta : 0);
+
+    // Advance to the next waypoint once this one is reached
+    const isOnLastLeg = enemy.waypointIndex >= enemy.route.length - 1;
+    if (step >= distanceToWaypoint - 0.01 && !isOnLastLeg) {
+      enemy.waypointIndex++;
+    }
 
     // Make enemy face the direction of movement
     enemy.lookAt(
@@ -1242,16 +2052,22 @@ function updateEnemies(delta) {
           currentMap.basePosition?.z || 0
         );
 
-    const distanceToBase = enemy.position.distanceTo(basePosition);
+    // Drones arrive overhead, so only their distance across the ground counts
+    const distanceToBase = enemy.isFlying
+      ? Math.hypot(
+          enemy.position.x - basePosition.x,
+          enemy.position.z - basePosition.z
+        )
+      : enemy.position.distanceTo(basePosition);
 
-    if (distanceToBase < 3) {
+    // Only the final leg ends at the base, even if the path passes close by
+    if (isOnLastLeg && distanceToBase < BASE_REACH_DISTANCE) {
       // Attack the base if it exists
       if (defenseBase) {
         // Play base hit sound
         audioManager.playGameSound("base-hit");
 
-        defenseBase.health -= 1;
-        updateBaseHealth();
+        damageBase(enemy.attack * BASE_DAMAGE_PER_ATTACK);
       }
 
       // Safely remove the enemy
@@ -1279,6 +2095,299 @@ function updateEnemies(delta) {
   });
 }
 
+// Scouts alternate between walking and short sprints
+function getSprintMultiplier(enemy, behavior, delta) {
+  if (!behavior.sprint) return 1;
+
+  const { interval, duration, speedMultiplier } = behavior.sprint;
+  enemy.sprintTimer = ((enemy.sprintTimer || 0) + delta) % interval;
+
+  return enemy.sprintTimer < duration ? speedMultiplier : 1;
+}
+
+// Healers periodically repair robots around them
+function updateHealerEnemy(enemy, behavior, delta) {
+  enemy.healTimer = (enemy.healTimer || 0) + delta;
+  if (enemy.healTimer < behavior.healInterval) return;
+  enemy.healTimer = 0;
+
+  getEnemiesNear(enemy.position, behavior.healRange, [enemy]).forEach(
+    (other) => {
+      if (other.health >= other.maxHealth) return;
+
+      other.health = Math.min(
+        other.maxHealth,
+        other.health + behavior.healAmount
+      );
+      robotSpawner.updateRobotHealthBar(other);
+      createHealingEffect(other.position, scene);
+    }
+  );
+}
+
+// Snipers stop when a tower or the base is in range and shoot it.
+// Returns true while the sniper is holding position.
+function updateSniperEnemy(enemy, behavior, delta) {
+  let target = null;
+  let targetDistance = behavior.attackRange;
+
+  scene.children.forEach((obj) => {
+    if (!obj.isTower) return;
+    const distance = obj.position.distanceTo(enemy.position);
+    if (distance < targetDistance) {
+      target = obj;
+      targetDistance = distance;
+    }
+  });
+
+  if (
+    !target &&
+    defenseBase &&
+    defenseBase.position.distanceTo(enemy.position) < behavior.attackRange
+  ) {
+    target = defenseBase;
+  }
+
+  if (!target) return false;
+
+  // Face the target (robot models face away from their lookAt point)
+  enemy.lookAt(
+    2 * enemy.position.x - target.position.x,
+    enemy.position.y,
+    2 * enemy.position.z - target.position.z
+  );
+
+  enemy.fireTimer = (enemy.fireTimer || 0) + delta;
+  if (enemy.fireTimer >= behavior.fireInterval) {
+    enemy.fireTimer = 0;
+
+    createBeam(enemy.position, target.position, 0xff0000, scene);
+    audioManager.playRobotSound("attack");
+
+    if (target === defenseBase) {
+      damageBase(enemy.attack * BASE_DAMAGE_PER_ATTACK);
+    } else {
+      damageTower(target, enemy.attack * TOWER_DAMAGE_PER_ATTACK);
+    }
+  }
+
+  return true;
+}
+
+// Melee robots strike the nearest tower they pass
+function updateMeleeEnemy(enemy, behavior, delta) {
+  enemy.meleeTimer = (enemy.meleeTimer || 0) + delta;
+  if (enemy.meleeTimer < behavior.melee.interval) return;
+
+  let target = null;
+  let targetDistance = behavior.melee.range;
+  scene.children.forEach((obj) => {
+    if (!obj.isTower) return;
+    const distance = obj.position.distanceTo(enemy.position);
+    if (distance < targetDistance) {
+      target = obj;
+      targetDistance = distance;
+    }
+  });
+
+  if (target) {
+    enemy.meleeTimer = 0;
+    audioManager.playRobotSound("attack");
+    damageTower(target, enemy.attack * TOWER_DAMAGE_PER_ATTACK);
+  }
+}
+
+// Bosses keep walking while firing volleys at the towers and base around
+// them; their current phase sets how often and how many targets they hit
+function updateBossEnemy(enemy, behavior, delta) {
+  const phase = enemy.bossPhase;
+  enemy.fireTimer = (enemy.fireTimer || 0) + delta;
+  if (enemy.fireTimer < 1 / phase.fireRate) return;
+
+  // Towers and the base within reach, closest first
+  const targets = scene.children.filter(
+    (obj) =>
+      obj.isTower &&
+      obj.position.distanceTo(enemy.position) < behavior.attackRange
+  );
+  if (
+    defenseBase &&
+    defenseBase.position.distanceTo(enemy.position) < behavior.attackRange
+  ) {
+    targets.push(defenseBase);
+  }
+  targets.sort(
+    (a, b) =>
+      a.position.distanceTo(enemy.position) -
+      b.position.distanceTo(enemy.position)
+  );
+
+  if (targets.length === 0) return;
+  enemy.fireTimer = 0;
+  audioManager.playRobotSound("attack");
+
+  // The volley fans out around the closest target like it does in the
+  // dungeon; each shot hits the first tower or base in its path
+  const origin = enemy.position.clone().setY(0);
+  getVolleyTargets(enemy, targets[0].position).forEach((shotPoint) => {
+    const end = shotPoint
+      .clone()
+      .setY(0)
+      .sub(origin)
+      .setLength(behavior.attackRange)
+      .add(origin);
+    const shot = new THREE.Line3(origin, end);
+    const closestPoint = new THREE.Vector3();
+
+    const target = targets.find((candidate) => {
+      if (!candidate.parent) return false; // Destroyed by an earlier shot
+      const position = candidate.position.clone().setY(0);
+      shot.closestPointToPoint(position, true, closestPoint);
+      const hitRadius =
+        candidate === defenseBase
+          ? BOSS_SHOT_HIT_RADIUS.base
+          : BOSS_SHOT_HIT_RADIUS.tower;
+      return closestPoint.distanceTo(position) < hitRadius;
+    });
+
+    createBeam(
+      enemy.position,
+      target ? target.position : end.setY(enemy.position.y),
+      0xff00ff,
+      scene
+    );
+    if (!target) return;
+
+    if (target === defenseBase) {
+      damageBase(enemy.attack * BASE_DAMAGE_PER_ATTACK);
+    } else {
+      damageTower(target, enemy.attack * TOWER_DAMAGE_PER_ATTACK);
+    }
+  });
+}
+
+// Damage the base, letting the shield soak up what it can first
+function damageBase(amount) {
+  if (!defenseBase) return;
+
+  const absorbed = Math.min(defenseBase.shield, amount);
+  defenseBase.shield -= absorbed;
+  defenseBase.shieldRegenTimer = defenseBase.shieldRegenDelay;
+
+  // Only hits that get through the shield spoil a perfect wave
+  if (amount > absorbed) {
+    defenseBase.health -= amount - absorbed;
+    baseDamagedThisWave = true;
+  }
+
+  updateBaseShieldVisual();
+  updateBaseHealth();
+}
+
+// Apply the purchased mainframe upgrades to the base. A destroyed base stays
+// destroyed; the next base built picks the upgrades up.
+function applyBaseStats() {
+  if (!defenseBase || defenseBase.destroyed) return;
+
+  const stats = getBaseStats(baseUpgradeLevels);
+
+  // Extra armor and shield capacity arrive fully charged
+  defenseBase.health += stats.maxHealth - defenseBase.maxHealth;
+  defenseBase.maxHealth = stats.maxHealth;
+  defenseBase.shield += stats.shieldMax - defenseBase.shieldMax;
+  defenseBase.shieldMax = stats.shieldMax;
+  defenseBase.shieldRegen = stats.shieldRegen;
+  defenseBase.shieldRegenDelay = stats.shieldRegenDelay;
+  defenseBase.pointDefense = stats.pointDefense;
+
+  updateBaseShieldVisual();
+  updateBaseHealth();
+}
+
+// Fade the shield bubble with its remaining charge
+function updateBaseShieldVisual() {
+  const shieldMesh = defenseBase && defenseBase.shieldMesh;
+  if (!shieldMesh) return;
+
+  const charge =
+    defenseBase.shieldMax > 0 ? defenseBase.shield / defenseBase.shieldMax : 0;
+  shieldMesh.visible = charge > 0;
+  shieldMesh.material.opacity = 0.1 + 0.2 * charge;
+}
+
+// Recharge the shield once the base has gone a while without being hit
+function updateBaseShield(delta) {
+  if (!defenseBase || defenseBase.destroyed) return;
+  if (defenseBase.shield >= defenseBase.shieldMax) return;
+
+  if (defenseBase.shieldRegenTimer > 0) {
+    defenseBase.shieldRegenTimer -= delta;
+    return;
+  }
+
+  const before = Math.floor(defenseBase.shield);
+  defenseBase.shield = Math.min(
+    defenseBase.shieldMax,
+    defenseBase.shield + defenseBase.shieldRegen * delta
+  );
+  updateBaseShieldVisual();
+
+  // Only refresh the HUD when the displayed value changes
+  if (Math.floor(defenseBase.shield) !== before) {
+    updateBaseHealth();
+  }
+}
+
+// Fire the mainframe's point-defense gun at the closest robot in range
+function updatePointDefense(delta) {
+  const gun = defenseBase && defenseBase.pointDefense;
+  if (!gun || defenseBase.destroyed) return;
+
+  defenseBase.pointDefenseTimer += delta;
+  if (defenseBase.pointDefenseTimer < 1 / gun.fireRate) return;
+
+  const basePosition = defenseBase.position;
+  const [target] = getEnemiesNear(basePosition, gun.range).sort(
+    (a, b) =>
+      a.position.distanceTo(basePosition) - b.position.distanceTo(basePosition)
+  );
+  if (!target) return;
+
+  defenseBase.pointDefenseTimer = 0;
+  createBeam(basePosition, target.position, 0x66ccff, scene);
+  audioManager.playTowerSound("shoot");
+  damageEnemy(target, gun.damage, scene, "pointDefense");
+}
+
+// Patch the base up between waves; returns false if a repair isn't allowed
+export function repairBase() {
+  if (!defenseBase || defenseBase.destroyed || waveInProgress) return false;
+  if (defenseBase.health >= defenseBase.maxHealth) return false;
+
+  defenseBase.health = Math.min(
+    defenseBase.maxHealth,
+    defenseBase.health + defenseBase.maxHealth * REPAIR_ACTION.healFraction
+  );
+  createHealingEffect(defenseBase.position, scene);
+  updateBaseHealth();
+  return true;
+}
+
+// Get the base's current state for the mainframe panel
+export function getBaseInfo() {
+  if (!defenseBase) return null;
+
+  return {
+    health: defenseBase.health,
+    maxHealth: defenseBase.maxHealth,
+    shield: defenseBase.shield,
+    shieldMax: defenseBase.shieldMax,
+    pointDefense: defenseBase.pointDefense,
+    destroyed: !!defenseBase.destroyed,
+    waveInProgress,
+  };
+}
+
 // Update base health display
 function updateBaseHealth() {
   if (defenseBase && defenseBase.healthBar) {
@@ -1305,6 +2414,8 @@ function updateBaseHealth() {
         health: Math.floor(defenseBase?.health || 0),
         maxHealth: defenseBase?.maxHealth || 100,
         prevHealth: defenseBase?.prevHealth,
+        shield: Math.floor(defenseBase?.shield || 0),
+        shieldMax: defenseBase?.shieldMax || 0,
       },
     })
   );
@@ -1314,8 +2425,9 @@ function updateBaseHealth() {
     defenseBase.prevHealth = defenseBase.health;
   }
 
-  // Check for game over
-  if (defenseBase && defenseBase.health <= 0) {
+  // Check for game over (once per base; robots keep hitting it afterwards)
+  if (defenseBase && defenseBase.health <= 0 && !defenseBase.destroyed) {
+    defenseBase.destroyed = true;
     gameOver();
   }
 }
@@ -1327,14 +2439,118 @@ function gameOver() {
   // Play game over sound
   audioManager.playGameSound("game-over");
 
+  const results = finishRun();
+
+  // The run is lost: clear the field and stop endless waves
+  robotSpawner.clearAllRobots(scene);
+  clearTowerProjectiles(scene);
+  endlessMode = false;
+
   // Dispatch game over event for React UI
   document.dispatchEvent(
     new CustomEvent("gameOver", {
-      detail: { reason: "Base Destroyed!" },
+      detail: { reason: "Base Destroyed!", results },
     })
   );
 }
 
+// Fresh score tally for a new run
+function createRunStats() {
+  return { wavesSurvived: 0, enemiesKilled: 0, coresUsed: 0 };
+}
+
+// Score the current run, record it if it was endless and start a new run
+function finishRun() {
+  clearWaveSpawnTimers();
+  clearEndlessWaveTimer();
+  waveInProgress = false;
+  waveToken++;
+
+  const baseHealthPercent = defenseBase
+    ? Math.max(0, (defenseBase.health / defenseBase.maxHealth) * 100)
+    : 0;
+  const results = {
+    mapId: currentMap.id,
+    mapName: currentMap.name,
+    endless: endlessMode,
+    ...runStats,
+    baseHealthPercent: Math.round(baseHealthPercent),
+  };
+  results.score = calculateScore(results);
+
+  // Only endless runs go on the high score table
+  results.rank = endlessMode ? addHighScore(currentMap.id, results) : null;
+
+  runStats = createRunStats();
+  currentWave = 0;
+
+  return results;
+}
+
+// End the current run by choice, banking the score with the base still standing
+export function endDefenseRun() {
+  const results = finishRun();
+
+  // Clear the field for the next run
+  robotSpawner.clearAllRobots(scene);
+  clearTowerProjectiles(scene);
+  if (defenseBase) {
+    defenseBase.health = defenseBase.maxHealth;
+    defenseBase.shield = defenseBase.shieldMax;
+    updateBaseShieldVisual();
+    updateBaseHealth();
+  }
+
+  document.dispatchEvent(
+    new CustomEvent("defenseRunEnded", {
+      detail: { reason: "Run Ended", results },
+    })
+  );
+
+  return results;
+}
+
+// Turn endless mode on or off
+export function setEndlessMode(enabled) {
+  endlessMode = enabled;
+
+  if (!endlessMode) {
+    clearEndlessWaveTimer();
+  } else if (!waveInProgress && currentWave > 0) {
+    // Pick up from the last finished wave
+    scheduleEndlessWave(scene);
+  }
+}
+
+// Start the next endless wave after a short break
+function scheduleEndlessWave(scene) {
+  clearEndlessWaveTimer();
+
+  document.dispatchEvent(
+    new CustomEvent("displayNotification", {
+      detail: {
+        message: `Next wave in ${ENDLESS_WAVE_BREAK / 1000} seconds...`,
+        type: "info",
+      },
+    })
+  );
+
+  endlessWaveTimer = setGameTimeout(() => {
+    endlessWaveTimer = null;
+    if (!waveInProgress) {
+      startWave(currentWave + 1, scene);
+    }
+  }, ENDLESS_WAVE_BREAK / 1000);
+}
+
+// Cancel a pending endless wave
+function clearEndlessWaveTimer() {
+  if (endlessWaveTimer) {
+    clearGameTimer(endlessWaveTimer);
+    endlessWaveTimer = null;
+  }
+}
+
 // Update defense UI through events (React will handle the actual UI updates)
 function updateDefenseUI() {
   // Dispatch events for React components to update
@@ -1343,25 +2559,41 @@ function updateDefenseUI() {
       detail: {
         gameState: "defense",
         waveNumber: currentWave,
-        coresCount: window.capturedCores ? window.capturedCores.length : 0,
+        coresCount: getInventoryCores().length,
         baseHealth: defenseBase ? Math.floor(defenseBase.health) : 0,
         baseMaxHealth: defenseBase ? defenseBase.maxHealth : 0,
+        endless: endlessMode,
+        runStats,
       },
     })
   );
 }
 
 // Update function for defense mode
-function updateDefenseMode(delta) {
+function updateDefenseMode(realDelta) {
   // Update orbit controls
   orbitControls.update();
 
+  // Everything below runs on scaled game time, so pausing freezes it
+  const delta = tickGameClock(realDelta);
+
   // Update towers
   updateTowers(delta, scene);
 
+  // Move tower shots and resolve their hits
+  updateTowerProjectiles(delta, scene);
+  updateSynergyFields(delta);
+
   // Update enemies
   updateEnemies(delta);
 
+  // Mainframe shield and point-defense gun
+  updateBaseShield(delta);
+  updatePointDefense(delta);
+
+  // Track boss phases and health for the HUD
+  updateBossEncounter();
+
   // Update UI
   updateDefenseUI();
 }
@@ -1369,5 +2601,15 @@ function updateDefenseMode(delta) {
 export default {
   initDefenseMode,
   createTower,
+  upgradeTower,
+  getTowerInfo,
+  sellTower,
+  startTowerRelocation,
+  swapTowerCore,
+  setTowerTargeting,
   startWave,
+  endDefenseRun,
+  setEndlessMode,
+  repairBase,
+  getBaseInfo,
 };
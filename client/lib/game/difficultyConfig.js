@@ -0,0 +1,41 @@
+// difficultyConfig.js - Difficulty levels and the currently selected level
+
+const DIFFICULTY_LEVELS = [
+  {
+    id: "easy",
+    name: "Easy",
+    towerDamageMultiplier: 0.5, // Damage towers take from robots
+    returnCoreOnTowerDestroyed: true,
+  },
+  {
+    id: "normal",
+    name: "Normal",
+    towerDamageMultiplier: 1,
+    returnCoreOnTowerDestroyed: true,
+  },
+  {
+    id: "hard",
+    name: "Hard",
+    towerDamageMultiplier: 1.5,
+    returnCoreOnTowerDestroyed: false, // Destroyed towers lose their core
+  },
+];
+
+let currentDifficultyId = "normal";
+
+// Get all difficulty levels
+export function getDifficultyLevels() {
+  return DIFFICULTY_LEVELS;
+}
+
+// Get the currently selected difficulty level
+export function getDifficulty() {
+  return DIFFICULTY_LEVELS.find((level) => level.id === currentDifficultyId);
+}
+
+// Select a difficulty level by ID
+export function setDifficulty(id) {
+  if (DIFFICULTY_LEVELS.some((level) => level.id === id)) {
+    currentDifficultyId = id;
+  }
+}
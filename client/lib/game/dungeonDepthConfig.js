@@ -0,0 +1,71 @@
+// dungeonDepthConfig.js - How dungeon levels get harder, and pay better, with depth
+
+// Each setting starts at `base` on level 1 and changes by `perLevel` for
+// every level below that, stopping at `limit`
+const DEPTH_SCALING = {
+  maxRooms: { base: 10, perLevel: 0.5, limit: 18 },
+  mapSize: { base: 50, perLevel: 2, limit: 70 }, // Grid cells per side
+  maxEnemiesPerRoom: { base: 3, perLevel: 0.25, limit: 6 },
+  roomAreaPerEnemy: { base: 30, perLevel: -1, limit: 16 }, // Floor cells each enemy needs
+  enemyRoomChance: { base: 0.6, perLevel: 0.02, limit: 0.75 },
+  healthRoomChance: { base: 0.2, perLevel: -0.01, limit: 0.08 },
+  robotHealthMultiplier: { base: 1, perLevel: 0.12, limit: 3 },
+  robotDamageMultiplier: { base: 1, perLevel: 0.08, limit: 2.5 },
+  coreDropMultiplier: { base: 1, perLevel: 0.06, limit: 2.5 },
+  corePowerBonus: { base: 0, perLevel: 0.25, limit: 2 }, // Added to the 1-3 power roll
+};
+
+// Robot types found in dungeon enemy rooms. Weights set how often each type
+// is picked relative to the others; tougher types show up deeper down and
+// grow more common from there.
+const DEPTH_ENEMY_ROSTER = [
+  { type: "scout", fromLevel: 1, weight: 4, weightPerLevel: -0.2 },
+  { type: "tank", fromLevel: 1, weight: 2, weightPerLevel: 0.1 },
+  { type: "sniper", fromLevel: 2, weight: 2, weightPerLevel: 0.1 },
+  { type: "healer", fromLevel: 3, weight: 1, weightPerLevel: 0.1 },
+  { type: "drone", fromLevel: 4, weight: 1, weightPerLevel: 0.15 },
+];
+
+// Types never get rarer than this, however deep the level
+const MIN_ENEMY_WEIGHT = 1;
+
+// Value of one scaled setting at a level
+function getScaledValue({ base, perLevel, limit }, level) {
+  const value = base + perLevel * (level - 1);
+  return perLevel >= 0 ? Math.min(limit, value) : Math.max(limit, value);
+}
+
+// Relative weights of the robot types that appear on a level
+function getEnemyWeights(level) {
+  return DEPTH_ENEMY_ROSTER.filter((entry) => level >= entry.fromLevel).map(
+    (entry) => ({
+      type: entry.type,
+      weight: Math.max(
+        MIN_ENEMY_WEIGHT,
+        entry.weight + entry.weightPerLevel * (level - entry.fromLevel)
+      ),
+    })
+  );
+}
+
+// Everything that changes with depth for one dungeon level
+export function getDepthProfile(level) {
+  const depth = Math.max(1, level || 1);
+  const scaled = (setting) => getScaledValue(DEPTH_SCALING[setting], depth);
+
+  return {
+    level: depth,
+    minRooms: 5,
+    maxRooms: Math.floor(scaled("maxRooms")),
+    mapSize: Math.floor(scaled("mapSize")),
+    maxEnemiesPerRoom: Math.floor(scaled("maxEnemiesPerRoom")),
+    roomAreaPerEnemy: scaled("roomAreaPerEnemy"),
+    enemyRoomChance: scaled("enemyRoomChance"),
+    healthRoomChance: scaled("healthRoomChance"),
+    enemyWeights: getEnemyWeights(depth),
+    robotHealthMultiplier: scaled("robotHealthMultiplier"),
+    robotDamageMultiplier: scaled("robotDamageMultiplier"),
+    coreDropMultiplier: scaled("coreDropMultiplier"),
+    corePowerBonus: Math.floor(scaled("corePowerBonus")),
+  };
+}
@@ -2,15 +2,18 @@
 import * as THREE from "three";
 import * as BufferGeometryUtils from "three/examples/jsm/utils/BufferGeometryUtils.js";
 import robotSpawner from "./robots";
+import { createRandom, createSeed } from "./random";
+import { getDepthProfile } from "./dungeonDepthConfig";
 
 // --- Constants & Materials ---
 const ROOM_SIZE_MIN = 6;
 const ROOM_SIZE_MAX = 10;
 const CORRIDOR_WIDTH = 2;
 const WALL_HEIGHT = 4;
-const MAP_SIZE = 50;
 const GRID_SIZE = 1;
-const MAX_ROOMS = 10;
+
+// Grid cells per side of the dungeon being generated; deeper levels are bigger
+let mapSize = getDepthProfile(1).mapSize;
 
 // Simple room types to match the classic FPS style
 const ROOM_TYPES = {
@@ -170,8 +173,13 @@ function getMaterial(type, roomType = null) {
 }
 
 // --- Main Dungeon Generation ---
-export function generateDungeon(scene) {
+// The same seed always gives the same layout and enemy placement at the same
+// depth; the level sets the size, enemies and rewards (see dungeonDepthConfig)
+export function generateDungeon(scene, seed = createSeed(), level = 1) {
   console.time("dungeonGeneration");
+  const random = createRandom(seed);
+  const depth = getDepthProfile(level);
+  mapSize = depth.mapSize;
 
   // Create facility group
   const facility = new THREE.Group();
@@ -179,14 +187,14 @@ export function generateDungeon(scene) {
   scene.add(facility);
 
   // Create grid system
-  const grid = Array(MAP_SIZE)
+  const grid = Array(mapSize)
     .fill()
-    .map(() => Array(MAP_SIZE).fill(1)); // 1 = wall, 0 = floor
+    .map(() => Array(mapSize).fill(1)); // 1 = wall, 0 = floor
 
   // Create grid to track room types for wall texturing
-  const roomTypeGrid = Array(MAP_SIZE)
+  const roomTypeGrid = Array(mapSize)
     .fill()
-    .map(() => Array(MAP_SIZE).fill(null));
+    .map(() => Array(mapSize).fill(null));
 
   // Create simple floor
   createSimpleFloor(facility);
@@ -195,16 +203,16 @@ export function generateDungeon(scene) {
   createSimpleCeiling(facility);
 
   // Generate rooms
-  const rooms = generateRooms(grid, roomTypeGrid);
+  const rooms = generateRooms(grid, roomTypeGrid, random, depth);
 
   // Connect rooms with corridors
-  connectRooms(rooms, grid, roomTypeGrid);
+  connectRooms(rooms, grid, roomTypeGrid, random);
 
   // Build walls based on the grid and room types
   buildWalls(facility, grid, roomTypeGrid);
 
   // Spawn enemies in enemy rooms
-  spawnEnemies(rooms, scene);
+  spawnEnemies(rooms, scene, random, depth);
 
   // Add health pickups in health rooms
   addHealthPickups(facility, rooms);
@@ -215,12 +223,14 @@ export function generateDungeon(scene) {
   console.timeEnd("dungeonGeneration");
 
   return {
+    seed,
+    level: depth.level,
     dungeon: facility,
     spawnRoom: findRoomByType(rooms, ROOM_TYPES.START),
     exitRoom: findRoomByType(rooms, ROOM_TYPES.EXIT),
     rooms: rooms,
     gridSize: GRID_SIZE,
-    mapSize: MAP_SIZE,
+    mapSize: mapSize,
     grid: grid,
     traversabilityGrid: traversabilityGrid,
   };
@@ -234,8 +244,8 @@ function findRoomByType(rooms, type) {
 // Create a simple floor for the entire map
 function createSimpleFloor(facility) {
   const floorGeometry = new THREE.PlaneGeometry(
-    MAP_SIZE * GRID_SIZE,
-    MAP_SIZE * GRID_SIZE,
+    mapSize * GRID_SIZE,
+    mapSize * GRID_SIZE,
     1,
     1
   );
@@ -252,8 +262,8 @@ function createSimpleFloor(facility) {
 // Create a simple ceiling for the entire map
 function createSimpleCeiling(facility) {
   const ceilingGeometry = new THREE.PlaneGeometry(
-    MAP_SIZE * GRID_SIZE,
-    MAP_SIZE * GRID_SIZE,
+    mapSize * GRID_SIZE,
+    mapSize * GRID_SIZE,
     1,
     1
   );
@@ -268,15 +278,15 @@ function createSimpleCeiling(facility) {
 }
 
 // Generate rooms with different types
-function generateRooms(grid, roomTypeGrid) {
-  const numRooms = randomInt(5, MAX_ROOMS);
+function generateRooms(grid, roomTypeGrid, random, depth) {
+  const numRooms = random.int(depth.minRooms, depth.maxRooms);
   const rooms = [];
 
   // Create spawn room (first room)
-  const spawnRoomWidth = randomInt(ROOM_SIZE_MIN, ROOM_SIZE_MIN + 2);
-  const spawnRoomHeight = randomInt(ROOM_SIZE_MIN, ROOM_SIZE_MIN + 2);
-  const spawnRoomX = Math.floor(MAP_SIZE / 2 - spawnRoomWidth / 2);
-  const spawnRoomY = Math.floor(MAP_SIZE / 2 - spawnRoomHeight / 2);
+  const spawnRoomWidth = random.int(ROOM_SIZE_MIN, ROOM_SIZE_MIN + 2);
+  const spawnRoomHeight = random.int(ROOM_SIZE_MIN, ROOM_SIZE_MIN + 2);
+  const spawnRoomX = Math.floor(mapSize / 2 - spawnRoomWidth / 2);
+  const spawnRoomY = Math.floor(mapSize / 2 - spawnRoomHeight / 2);
 
   for (let x = spawnRoomX; x < spawnRoomX + spawnRoomWidth; x++) {
     for (let y = spawnRoomY; y < spawnRoomY + spawnRoomHeight; y++) {
@@ -309,26 +319,23 @@ function generateRooms(grid, roomTypeGrid) {
       roomType = ROOM_TYPES.EXIT;
       hasExitRoom = true;
     } else {
-      // Random room type distribution
-      const randomValue = Math.random();
-      if (randomValue < 0.6) {
+      // Random room type distribution; deeper levels have more enemy rooms
+      // and fewer health rooms
+      const randomValue = random.next();
+      if (randomValue < depth.enemyRoomChance) {
         roomType = ROOM_TYPES.ENEMY;
-      } else if (randomValue < 0.8) {
-        roomType = ROOM_TYPES.EMPTY;
+      } else if (randomValue >= 1 - depth.healthRoomChance && !hasSpecialRoom) {
+        roomType = ROOM_TYPES.HEALTH;
+        hasSpecialRoom = true;
       } else {
-        if (!hasSpecialRoom) {
-          roomType = ROOM_TYPES.HEALTH;
-          hasSpecialRoom = true;
-        } else {
-          roomType = ROOM_TYPES.EMPTY;
-        }
+        roomType = ROOM_TYPES.EMPTY;
       }
     }
 
     // Determine room size
     let width, height;
-    width = randomInt(ROOM_SIZE_MIN, ROOM_SIZE_MAX);
-    height = randomInt(ROOM_SIZE_MIN, ROOM_SIZE_MAX);
+    width = random.int(ROOM_SIZE_MIN, ROOM_SIZE_MAX);
+    height = random.int(ROOM_SIZE_MIN, ROOM_SIZE_MAX);
 
     // Try to find a valid position for the room
     let attempts = 0;
@@ -337,14 +344,14 @@ function generateRooms(grid, roomTypeGrid) {
     const maxAttempts = 50;
 
     while (!validPosition && attempts < maxAttempts) {
-      roomX = randomInt(1, MAP_SIZE - width - 1);
-      roomY = randomInt(1, MAP_SIZE - height - 1);
+      roomX = random.int(1, mapSize - width - 1);
+      roomY = random.int(1, mapSize - height - 1);
       validPosition = true;
 
       // Check if this position overlaps with existing rooms (including padding)
       for (let x = roomX - 1; x < roomX + width + 1; x++) {
         for (let y = roomY - 1; y < roomY + height + 1; y++) {
-          if (x < 0 || y < 0 || x >= MAP_SIZE || y >= MAP_SIZE) continue;
+          if (x < 0 || y < 0 || x >= mapSize || y >= mapSize) continue;
           if (grid[x][y] === 0) {
             validPosition = false;
             break;
@@ -371,7 +378,7 @@ function generateRooms(grid, roomTypeGrid) {
         height >= ROOM_SIZE_MIN + 3 &&
         roomType !== ROOM_TYPES.START &&
         roomType !== ROOM_TYPES.EXIT &&
-        Math.random() > 0.5
+        random.next() > 0.5
       ) {
         addInnerWalls(
           grid,
@@ -380,7 +387,8 @@ function generateRooms(grid, roomTypeGrid) {
           roomY,
           width,
           height,
-          roomType
+          roomType,
+          random
         );
       }
 
@@ -411,10 +419,11 @@ function addInnerWalls(
   roomY,
   width,
   height,
-  roomType
+  roomType,
+  random
 ) {
   // Decide on inner wall style
-  const style = Math.floor(Math.random() * 3);
+  const style = random.int(0, 2);
 
   switch (style) {
     case 0: // Pillars
@@ -427,14 +436,14 @@ function addInnerWalls(
       break;
 
     case 1: // Partial wall
-      const isHorizontal = Math.random() > 0.5;
+      const isHorizontal = random.next() > 0.5;
       const position = isHorizontal
         ? roomY + Math.floor(height / 2)
         : roomX + Math.floor(width / 2);
 
       const doorPos = isHorizontal
-        ? roomX + randomInt(2, width - 3)
-        : roomY + randomInt(2, height - 3);
+        ? roomX + random.int(2, width - 3)
+        : roomY + random.int(2, height - 3);
 
       if (isHorizontal) {
         // Horizontal wall with a door
@@ -496,7 +505,7 @@ function addInnerWalls(
 }
 
 // Connect rooms with simple L-shaped corridors
-function connectRooms(rooms, grid, roomTypeGrid) {
+function connectRooms(rooms, grid, roomTypeGrid, random) {
   for (let i = 1; i < rooms.length; i++) {
     let minDistance = Infinity;
     let closestConnectedRoom = 0;
@@ -523,10 +532,10 @@ function connectRooms(rooms, grid, roomTypeGrid) {
   // Add a few extra corridors to create loops
   const additionalConnections = Math.min(2, Math.floor(rooms.length / 5));
   for (let i = 0; i < additionalConnections; i++) {
-    const roomA = randomInt(0, rooms.length - 1);
-    let roomB = randomInt(0, rooms.length - 1);
+    const roomA = random.int(0, rooms.length - 1);
+    let roomB = random.int(0, rooms.length - 1);
     while (roomB === roomA) {
-      roomB = randomInt(0, rooms.length - 1);
+      roomB = random.int(0, rooms.length - 1);
     }
     createCorridor(rooms[roomA], rooms[roomB], grid, roomTypeGrid);
   }
@@ -561,7 +570,7 @@ function carveCorridorSection(x, y, grid, roomTypeGrid) {
     for (let offsetY = -halfWidth; offsetY <= halfWidth; offsetY++) {
       const gridX = x + offsetX;
       const gridY = y + offsetY;
-      if (gridX >= 0 && gridX < MAP_SIZE && gridY >= 0 && gridY < MAP_SIZE) {
+      if (gridX >= 0 && gridX < mapSize && gridY >= 0 && gridY < mapSize) {
         grid[gridX][gridY] = 0; // Mark as floor
 
         // Only set corridor type if not already part of a room
@@ -587,14 +596,14 @@ function buildWalls(facility, grid, roomTypeGrid) {
   };
 
   // Check each cell in the grid
-  for (let x = 0; x < MAP_SIZE; x++) {
-    for (let y = 0; y < MAP_SIZE; y++) {
+  for (let x = 0; x < mapSize; x++) {
+    for (let y = 0; y < mapSize; y++) {
       if (grid[x][y] === 1) {
         // This is a wall
         // Check if this wall should be visible (adjacent to a floor)
         const hasFloorN = y > 0 && grid[x][y - 1] === 0;
-        const hasFloorS = y < MAP_SIZE - 1 && grid[x][y + 1] === 0;
-        const hasFloorE = x < MAP_SIZE - 1 && grid[x + 1][y] === 0;
+        const hasFloorS = y < mapSize - 1 && grid[x][y + 1] === 0;
+        const hasFloorE = x < mapSize - 1 && grid[x + 1][y] === 0;
         const hasFloorW = x > 0 && grid[x - 1][y] === 0;
 
         if (hasFloorN || hasFloorS || hasFloorE || hasFloorW) {
@@ -623,9 +632,9 @@ function buildWalls(facility, grid, roomTypeGrid) {
 
           // Position the wall
           wallGeometry.translate(
-            (x - MAP_SIZE / 2) * GRID_SIZE + GRID_SIZE / 2,
+            (x - mapSize / 2) * GRID_SIZE + GRID_SIZE / 2,
             WALL_HEIGHT / 2,
-            (y - MAP_SIZE / 2) * GRID_SIZE + GRID_SIZE / 2
+            (y - mapSize / 2) * GRID_SIZE + GRID_SIZE / 2
           );
 
           // Add to appropriate array based on type
@@ -677,8 +686,8 @@ function addHealthPickups(facility, rooms) {
 
   healthRooms.forEach((room) => {
     // Create a floating health pickup
-    const centerX = (room.x + room.width / 2 - MAP_SIZE / 2) * GRID_SIZE;
-    const centerZ = (room.y + room.height / 2 - MAP_SIZE / 2) * GRID_SIZE;
+    const centerX = (room.x + room.width / 2 - mapSize / 2) * GRID_SIZE;
+    const centerZ = (room.y + room.height / 2 - mapSize / 2) * GRID_SIZE;
 
     // Create a group for the health pickup
     const healthGroup = new THREE.Group();
@@ -717,42 +726,71 @@ function addHealthPickups(facility, rooms) {
 }
 
 // Spawn enemies in enemy rooms
-function spawnEnemies(rooms, scene) {
+function spawnEnemies(rooms, scene, random, depth) {
   const enemyRooms = rooms.filter((room) => room.type === ROOM_TYPES.ENEMY);
 
   enemyRooms.forEach((room) => {
-    // Determine number of enemies based on room size
+    // Determine number of enemies based on room size and depth
     const roomArea = room.width * room.height;
-    const maxEnemies = Math.min(3, Math.floor(roomArea / 30));
-    const numEnemies = randomInt(1, maxEnemies);
+    const maxEnemies = Math.max(
+      1,
+      Math.min(
+        depth.maxEnemiesPerRoom,
+        Math.floor(roomArea / depth.roomAreaPerEnemy)
+      )
+    );
+    const numEnemies = random.int(1, maxEnemies);
 
     // Spawn enemies
     for (let i = 0; i < numEnemies; i++) {
       // Find a valid position for the enemy
-      const offsetX = randomInt(1, room.width - 2);
-      const offsetY = randomInt(1, room.height - 2);
-      const enemyX = (room.x + offsetX - MAP_SIZE / 2) * GRID_SIZE;
-      const enemyZ = (room.y + offsetY - MAP_SIZE / 2) * GRID_SIZE;
-
-      // Choose a random enemy type
-      const enemyTypes = ["scout", "tank", "sniper", "healer"];
-      const randomTypeIndex = randomInt(0, enemyTypes.length - 1);
-      const enemyType = enemyTypes[randomTypeIndex];
-
-      // Spawn the enemy
-      robotSpawner.spawnRobot(enemyX, enemyZ, scene, enemyType);
+      const offsetX = random.int(1, room.width - 2);
+      const offsetY = random.int(1, room.height - 2);
+      const enemyX = (room.x + offsetX - mapSize / 2) * GRID_SIZE;
+      const enemyZ = (room.y + offsetY - mapSize / 2) * GRID_SIZE;
+
+      // Choose an enemy type, weighted by depth
+      const enemyType = pickEnemyType(depth.enemyWeights, random);
+
+      // Spawn the enemy, tougher and more rewarding the deeper it is
+      const robot = robotSpawner.spawnRobot(enemyX, enemyZ, scene, enemyType);
+      if (robot) {
+        robot.health *= depth.robotHealthMultiplier;
+        robot.maxHealth = robot.health;
+        robot.damageMultiplier = depth.robotDamageMultiplier;
+        robot.coreDropChance = Math.min(
+          1,
+          robot.coreDropChance * depth.coreDropMultiplier
+        );
+        robot.corePowerBonus = depth.corePowerBonus;
+      }
     }
   });
 }
 
+// Pick a robot type from a list of { type, weight }
+function pickEnemyType(enemyWeights, random) {
+  const totalWeight = enemyWeights.reduce(
+    (sum, entry) => sum + entry.weight,
+    0
+  );
+
+  let roll = random.next() * totalWeight;
+  for (const entry of enemyWeights) {
+    roll -= entry.weight;
+    if (roll < 0) return entry.type;
+  }
+  return enemyWeights[enemyWeights.length - 1].type;
+}
+
 // Create traversability grid for AI pathfinding
 function createTraversabilityGrid(grid) {
   // Create a deep copy of the grid
   const traversabilityGrid = JSON.parse(JSON.stringify(grid));
 
   // Mark cells near walls as cautious zones (value 2)
-  for (let x = 0; x < MAP_SIZE; x++) {
-    for (let y = 0; y < MAP_SIZE; y++) {
+  for (let x = 0; x < mapSize; x++) {
+    for (let y = 0; y < mapSize; y++) {
       if (grid[x][y] === 1) {
         // If this is a wall
         // Mark adjacent cells as cautious
@@ -762,9 +800,9 @@ function createTraversabilityGrid(grid) {
             const ny = y + dy;
             if (
               nx >= 0 &&
-              nx < MAP_SIZE &&
+              nx < mapSize &&
               ny >= 0 &&
-              ny < MAP_SIZE &&
+              ny < mapSize &&
               traversabilityGrid[nx][ny] === 0
             ) {
               traversabilityGrid[nx][ny] = 2; // 2 = near wall (cautious zone)
@@ -778,14 +816,8 @@ function createTraversabilityGrid(grid) {
   return traversabilityGrid;
 }
 
-// Helper function: Random Integer
-function randomInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1) + min);
-}
-
 export default {
   generateDungeon,
-  MAP_SIZE,
   GRID_SIZE,
   ROOM_TYPES,
 };
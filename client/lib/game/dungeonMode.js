@@ -3,11 +3,15 @@ import * as THREE from "three";
 import { PointerLockControls } from "three/examples/jsm/controls/PointerLockControls.js";
 import robotSpawner from "./robots";
 import dungeonGenerator from "./dungeonGenerator";
-import { randomInt } from "./robots";
 import audioManager from "./audioManager";
 import projectileSystem from "./projectileSystem";
 import robotAI from "./robotAI";
 import portalSystem from "./portalSystem";
+import { updateStatusEffects } from "./statusEffects";
+import { isBossLevel } from "./robotConfig";
+import { captureCore, getInventoryCores } from "./coreLedger";
+import { createSeed, deriveSeed, getUrlSeed } from "./random";
+import { spawnBoss, updateBossEncounter, fireBossVolley } from "./bossSystem";
 
 // Game state tracking
 let dungeonControls;
@@ -22,6 +26,7 @@ let playerScrapInventory = {
 };
 let currentLevel = 1; // Track the current dungeon level
 let maxLevel = 1; // Track the highest level reached
+let runSeed = null; // Seed the run's levels are generated from
 
 // Player weapon
 let weaponModel;
@@ -60,7 +65,12 @@ const GRAVITY = 20.0;
 const PLAYER_RADIUS = 0.4;
 
 // Initialize dungeon mode
-export function initDungeonMode(sceneRef, cameraRef, renderer) {
+export function initDungeonMode(
+  sceneRef,
+  cameraRef,
+  renderer,
+  initialInventory = {}
+) {
   // Store references
   scene = sceneRef;
   camera = cameraRef;
@@ -131,15 +141,19 @@ export function initDungeonMode(sceneRef, cameraRef, renderer) {
   // Setup event listeners for movement and interaction
   setupEventListeners();
 
-  // Reset inventory
+  // Carry over scrap from previous runs (it is spent in defense mode)
   playerScrapInventory = {
     total: 0,
     electronic: 0,
     metal: 0,
     energy: 0,
+    ...initialInventory,
   };
 
   // Generate initial dungeon
+  if (runSeed === null) {
+    runSeed = getRunSeed();
+  }
   currentDungeonData = regenerateDungeon(scene);
 
   // Dispatch event to update UI in React
@@ -394,6 +408,7 @@ function setupEventListeners() {
         break;
       case "KeyG":
         // Debug: Generate new dungeon
+        runSeed = createSeed();
         regenerateDungeon(scene);
         break;
     }
@@ -459,6 +474,9 @@ function handleRobotCapture() {
     }
 
     if (robot) {
+      // Bosses are too strong to capture
+      if (robot.isBoss) return;
+
       const distance = intersects[i].distance;
 
       // Only capture robots within range (closer range than attack)
@@ -474,17 +492,9 @@ function handleRobotCapture() {
           audioManager.playCollectSound("core");
 
           // Create core from robot and add to inventory
-          const core = {
-            type: robot.type,
-            value: robot.coreValue,
-            power: randomInt(1, 3), // Random power level
-          };
-
-          // Add to global array
-          if (!window.capturedCores) {
-            window.capturedCores = [];
-          }
-          window.capturedCores.push(core);
+          const core = captureCore(robotSpawner.createRobotCore(robot), {
+            dungeonLevel: currentLevel,
+          });
 
           // Dispatch event to update React state
           document.dispatchEvent(
@@ -495,7 +505,7 @@ function handleRobotCapture() {
                   coreValue: robot.coreValue,
                   power: core.power,
                 },
-                cores: window.capturedCores,
+                core,
               },
             })
           );
@@ -602,6 +612,18 @@ function cleanupBeforeRegeneration(scene) {
   if (window.gc) window.gc();
 }
 
+// A `?seed=` URL parameter replays the same run; otherwise every run is new
+function getRunSeed() {
+  const urlSeed = getUrlSeed();
+  return urlSeed !== null ? urlSeed : createSeed();
+}
+
+// Each level has its own seed, so going back to a level rebuilds the same
+// layout. Level 1 uses the run seed itself.
+function getLevelSeed(level) {
+  return level === 1 ? runSeed : deriveSeed(runSeed, level);
+}
+
 // Generate or regenerate dungeon
 function regenerateDungeon(scene) {
   // Play transition sound
@@ -623,11 +645,18 @@ function regenerateDungeon(scene) {
   cleanupBeforeRegeneration(scene);
 
   // Generate new dungeon
-  const dungeonData = dungeonGenerator.generateDungeon(scene);
+  const dungeonData = dungeonGenerator.generateDungeon(
+    scene,
+    getLevelSeed(currentLevel),
+    currentLevel
+  );
 
   // Store the dungeon data
   currentDungeonData = dungeonData;
 
+  // Robots find their way around the new layout
+  robotAI.setNavigationGrid(dungeonData);
+
   // Position player at spawn room (which is now START type)
   const spawnRoom = dungeonData.spawnRoom;
   const spawnX =
@@ -652,6 +681,12 @@ function regenerateDungeon(scene) {
     return dungeonControls ? dungeonControls.object.position.clone() : null;
   });
 
+  // Every Nth level has a boss guarding the exit portal
+  const bossLevel = isBossLevel(currentLevel);
+  if (bossLevel) {
+    spawnBoss(exitX + dungeonData.gridSize, exitZ, scene);
+  }
+
   // Position player at spawn point
   if (dungeonControls) {
     dungeonControls.object.position.set(spawnX, PLAYER_HEIGHT, spawnZ);
@@ -670,7 +705,9 @@ function regenerateDungeon(scene) {
   document.dispatchEvent(
     new CustomEvent("displayNotification", {
       detail: {
-        message: `Level ${currentLevel} - Find the exit portal`,
+        message: bossLevel
+          ? `Level ${currentLevel} - A boss guards the exit portal!`
+          : `Level ${currentLevel} - Find the exit portal`,
         type: "info",
         duration: 3000,
       },
@@ -788,12 +825,17 @@ function checkCoreCollection() {
     2
   );
 
+  // Cores dropped on this level remember where they were found
+  collectedCores.forEach((core) =>
+    captureCore(core, { dungeonLevel: currentLevel })
+  );
+
   // Play sound if cores were collected
   if (collectedCores.length > 0) {
     audioManager.playCollectSound("core");
   }
 
-  // Update UI (cores are already in window.capturedCores)
+  // Update UI
   if (collectedCores.length > 0) {
     console.log(`Collected ${collectedCores.length} cores!`);
     updateDungeonUI();
@@ -809,7 +851,7 @@ function updateDungeonUI() {
         gameState: "dungeon",
         health: Math.floor(playerHealth),
         inventory: playerScrapInventory,
-        cores: window.capturedCores || [],
+        cores: getInventoryCores(),
         stamina: Math.floor(staminaLevel),
         level: currentLevel,
         maxLevel: maxLevel,
@@ -1147,6 +1189,7 @@ function updateDungeonMode(delta) {
         if (currentLevel > 1) {
           currentLevel = 1;
         }
+        runSeed = getRunSeed();
         regenerateDungeon(scene);
       }
     }
@@ -1156,6 +1199,9 @@ function updateDungeonMode(delta) {
   // This ensures robots still animate even when controls are not locked
   updateRobots(delta);
 
+  // Track boss phases and health for the HUD
+  updateBossEncounter();
+
   // Update UI
   updateDungeonUI();
 }
@@ -1171,6 +1217,15 @@ function updateRobots(delta) {
       // Update robot health bar to face camera
       robotSpawner.updateHealthBarBillboarding(robot, camera);
 
+      // Tick status effects; damage over time can destroy the robot
+      const tickDamage = updateStatusEffects(robot, delta);
+      if (
+        tickDamage > 0 &&
+        robotSpawner.damageRobot(robot, tickDamage, scene)
+      ) {
+        return;
+      }
+
       // Initialize attack cooldown if not present
       if (robot.attackCooldown === undefined) {
         // Get fire rate from projectile config based on robot type
@@ -1197,8 +1252,10 @@ function updateRobots(delta) {
         robot.aiState === robotAI.ROBOT_STATES.SHOOTING &&
         robot.attackCooldown <= 0
       ) {
-        // Reset cooldown
-        robot.attackCooldown = robot.attackCooldownMax;
+        // Reset cooldown (bosses fire at their current phase's rate)
+        robot.attackCooldown = robot.isBoss
+          ? 1 / robot.bossPhase.fireRate
+          : robot.attackCooldownMax;
 
         // Create a projectile aimed at player
         // Add slight randomness to aiming for different robot types
@@ -1234,7 +1291,11 @@ function updateRobots(delta) {
         }
 
         // Create the projectile
-        projectileSystem.createProjectile(robot, targetPos, scene);
+        if (robot.isBoss) {
+          fireBossVolley(robot, targetPos, scene);
+        } else {
+          projectileSystem.createProjectile(robot, targetPos, scene);
+        }
       }
     }
   });
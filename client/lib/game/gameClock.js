@@ -0,0 +1,83 @@
+// gameClock.js - Scaled game time for defense mode (pause and fast-forward)
+
+// Speeds offered by the HUD; 0 pauses the game
+export const TIME_SCALES = [0, 1, 2, 3];
+
+let timeScale = 1;
+let gameTime = 0; // Scaled seconds since the clock was reset
+let timers = []; // Pending timeouts and intervals in game time
+let nextTimerId = 1;
+
+// Get the current speed multiplier
+export function getTimeScale() {
+  return timeScale;
+}
+
+// Change the game speed and let the HUD know
+export function setTimeScale(scale) {
+  if (!TIME_SCALES.includes(scale)) return;
+
+  timeScale = scale;
+  document.dispatchEvent(
+    new CustomEvent("timeScaleChanged", { detail: { timeScale } })
+  );
+}
+
+// Get the scaled time in seconds, for cooldowns
+export function getGameTime() {
+  return gameTime;
+}
+
+// Advance the clock by a real frame delta; returns the scaled delta
+export function tickGameClock(realDelta) {
+  const delta = realDelta * timeScale;
+  if (delta <= 0) return 0;
+
+  gameTime += delta;
+
+  // Fire everything that came due this frame, in order. At high speeds an
+  // interval can fire several times in one frame.
+  let due = timers.filter((timer) => timer.dueAt <= gameTime);
+  while (due.length > 0) {
+    due.sort((a, b) => a.dueAt - b.dueAt);
+    const timer = due[0];
+
+    if (timer.interval) {
+      timer.dueAt += timer.interval;
+    } else {
+      timers = timers.filter((other) => other !== timer);
+    }
+    timer.callback();
+
+    due = timers.filter((other) => other.dueAt <= gameTime);
+  }
+
+  return delta;
+}
+
+// Run a callback once after `seconds` of game time; returns an ID for clearGameTimer
+export function setGameTimeout(callback, seconds) {
+  const id = nextTimerId++;
+  timers.push({ id, callback, dueAt: gameTime + seconds, interval: null });
+  return id;
+}
+
+// Run a callback every `seconds` of game time; returns an ID for clearGameTimer
+export function setGameInterval(callback, seconds) {
+  const id = nextTimerId++;
+  const interval = Math.max(seconds, 0.01); // A zero interval would never finish
+  timers.push({ id, callback, dueAt: gameTime + interval, interval });
+  return id;
+}
+
+// Cancel a pending timeout or interval
+export function clearGameTimer(id) {
+  timers = timers.filter((timer) => timer.id !== id);
+}
+
+// Drop all timers and start again at normal speed
+export function resetGameClock() {
+  timers = [];
+  gameTime = 0;
+  setTimeScale(1);
+}
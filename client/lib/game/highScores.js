@@ -0,0 +1,65 @@
+// highScores.js - Endless defense scoring and per-map high scores in localStorage
+
+const STORAGE_KEY = "dumrunner-high-scores";
+const MAX_SCORES_PER_MAP = 10;
+
+// Points for each part of a run. Cores cost points so efficient runs rank higher.
+export const SCORE_WEIGHTS = {
+  wave: 100, // Per wave survived
+  kill: 10, // Per enemy destroyed
+  baseHealth: 5, // Per percent of base health remaining
+  core: -20, // Per core placed into a tower
+};
+
+// Calculate the score for a finished run
+export function calculateScore({
+  wavesSurvived,
+  enemiesKilled,
+  baseHealthPercent,
+  coresUsed,
+}) {
+  const score =
+    wavesSurvived * SCORE_WEIGHTS.wave +
+    enemiesKilled * SCORE_WEIGHTS.kill +
+    Math.round(baseHealthPercent) * SCORE_WEIGHTS.baseHealth +
+    coresUsed * SCORE_WEIGHTS.core;
+
+  return Math.max(0, score);
+}
+
+// Read the whole high score table, tolerating missing or corrupt storage
+function loadAllScores() {
+  if (typeof window === "undefined" || !window.localStorage) return {};
+
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    console.warn("Could not read high scores:", e);
+    return {};
+  }
+}
+
+// Get the high scores for a map, best first
+export function getHighScores(mapId) {
+  return loadAllScores()[mapId] || [];
+}
+
+// Record a run's results; returns its rank (1-based) or null if it missed the table
+export function addHighScore(mapId, results) {
+  const allScores = loadAllScores();
+  const entry = { ...results, date: new Date().toISOString() };
+
+  const mapScores = [...(allScores[mapId] || []), entry]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SCORES_PER_MAP);
+  allScores[mapId] = mapScores;
+
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(allScores));
+  } catch (e) {
+    console.warn("Could not save high scores:", e);
+  }
+
+  const rank = mapScores.indexOf(entry);
+  return rank >= 0 ? rank + 1 : null;
+}
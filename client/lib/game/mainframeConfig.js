@@ -0,0 +1,98 @@
+// mainframeConfig.js - Configuration for mainframe (defense base) upgrades
+
+export const BASE_MAX_HEALTH = 100;
+
+// Upgrades bought with scrap from the mainframe panel. Each entry in `levels`
+// is one purchasable level with its cost; stats scale with the level count.
+const BASE_UPGRADES = [
+  {
+    id: "maxHealth",
+    name: "Armor Plating",
+    description: "+25 max health per level",
+    healthPerLevel: 25,
+    levels: [
+      { cost: { metal: 8 } },
+      { cost: { metal: 12, electronic: 4 } },
+      { cost: { metal: 18, electronic: 8 } },
+    ],
+  },
+  {
+    id: "shield",
+    name: "Shield Generator",
+    description: "Regenerating shield that absorbs hits before health",
+    shieldPerLevel: 20,
+    regenPerSecond: 3, // Shield points restored per second
+    regenDelay: 4, // Seconds without hits before regeneration starts
+    levels: [
+      { cost: { energy: 8, electronic: 4 } },
+      { cost: { energy: 12, electronic: 8 } },
+      { cost: { energy: 18, electronic: 12 } },
+    ],
+  },
+  {
+    id: "pointDefense",
+    name: "Point-Defense Gun",
+    description: "Automatic turret on the mainframe that shoots nearby robots",
+    range: 7,
+    damagePerLevel: 4,
+    fireRatePerLevel: 0.75, // Shots per second
+    levels: [
+      { cost: { metal: 10, electronic: 6 } },
+      { cost: { metal: 14, electronic: 10 } },
+      { cost: { metal: 20, electronic: 14, energy: 6 } },
+    ],
+  },
+];
+
+// Emergency repair between waves
+export const REPAIR_ACTION = {
+  cost: { metal: 6, energy: 2 },
+  healFraction: 0.5, // Portion of max health restored
+};
+
+// Levels the player starts with
+export const DEFAULT_BASE_UPGRADES = {
+  maxHealth: 0,
+  shield: 0,
+  pointDefense: 0,
+};
+
+// Get all mainframe upgrades
+export function getBaseUpgrades() {
+  return BASE_UPGRADES;
+}
+
+// Get a specific mainframe upgrade by ID
+export function getBaseUpgrade(id) {
+  return BASE_UPGRADES.find((upgrade) => upgrade.id === id);
+}
+
+// Get the next level of an upgrade, or null when it is maxed out
+export function getNextBaseUpgradeLevel(id, level = 0) {
+  const upgrade = getBaseUpgrade(id);
+  return (upgrade && upgrade.levels[level]) || null;
+}
+
+// Calculate the mainframe's stats for a set of upgrade levels
+export function getBaseStats(levels = DEFAULT_BASE_UPGRADES) {
+  const armor = getBaseUpgrade("maxHealth");
+  const shield = getBaseUpgrade("shield");
+  const pointDefense = getBaseUpgrade("pointDefense");
+
+  const pointDefenseLevel = levels.pointDefense || 0;
+
+  return {
+    maxHealth: BASE_MAX_HEALTH + armor.healthPerLevel * (levels.maxHealth || 0),
+    shieldMax: shield.shieldPerLevel * (levels.shield || 0),
+    shieldRegen: shield.regenPerSecond,
+    shieldRegenDelay: shield.regenDelay,
+    pointDefense:
+      pointDefenseLevel > 0
+        ? {
+            range: pointDefense.range,
+            damage: pointDefense.damagePerLevel * pointDefenseLevel,
+            fireRate: pointDefense.fireRatePerLevel * pointDefenseLevel,
+          }
+        : null,
+  };
+}
@@ -1,5 +1,14 @@
 // mapConfig.js - Configuration for tower defense maps
+import { getRobotType, isBossWave, BOSS_CONFIG } from "./robotConfig";
+import { findGridPath, simplifyGridPath } from "./pathfinding";
 
+// Scripted waves are lists of spawn groups. Each group spawns `count` robots
+// of `type` every `interval` ms from spawnPoints[spawnPoint], starting after
+// an optional `delay`. `multipliers` scale the robot's health, speed and attack.
+// When a map's scripted waves run out, generateWave takes over.
+// Maps and individual waves can override DEFAULT_WAVE_REWARDS with `rewards`.
+// `freeBuild` maps have no fixed paths or tower spots: towers go anywhere on
+// the build grid and robots path around them.
 const DEFENSE_MAPS = [
   {
     id: "basic",
@@ -22,6 +31,55 @@ const DEFENSE_MAPS = [
     spawnPoints: [{ x: -25, z: 0 }],
     // Base position (default is center)
     basePosition: { x: 0, z: 0 },
+    // Scripted waves
+    waves: [
+      { groups: [{ type: "scout", count: 5, interval: 1200, spawnPoint: 0 }] },
+      { groups: [{ type: "scout", count: 8, interval: 1000, spawnPoint: 0 }] },
+      {
+        groups: [
+          { type: "scout", count: 6, interval: 1000, spawnPoint: 0 },
+          {
+            type: "tank",
+            count: 2,
+            interval: 3000,
+            spawnPoint: 0,
+            delay: 4000,
+          },
+        ],
+      },
+      {
+        groups: [
+          { type: "tank", count: 4, interval: 2000, spawnPoint: 0 },
+          {
+            type: "healer",
+            count: 2,
+            interval: 3000,
+            spawnPoint: 0,
+            delay: 2000,
+          },
+        ],
+      },
+      {
+        groups: [
+          {
+            type: "scout",
+            count: 10,
+            interval: 600,
+            spawnPoint: 0,
+            multipliers: { speed: 1.2 },
+          },
+          {
+            type: "sniper",
+            count: 3,
+            interval: 2500,
+            spawnPoint: 0,
+            delay: 3000,
+          },
+        ],
+        // First boss wave pays extra
+        rewards: { scrap: { metal: 6, electronic: 5, energy: 4 } },
+      },
+    ],
   },
   {
     id: "dual-path",
@@ -30,6 +88,8 @@ const DEFENSE_MAPS = [
     price: 200,
     unlocked: false,
     previewColor: "#FF9800",
+    // Two fronts are harder to hold, so robots drop cores more often
+    rewards: { coreDropChance: 0.08 },
     paths: [
       { start: { x: -25, z: 15 }, end: { x: 0, z: 0 } },
       { start: { x: -25, z: -15 }, end: { x: 0, z: 0 } },
@@ -49,6 +109,57 @@ const DEFENSE_MAPS = [
       { x: -25, z: -15 },
     ],
     basePosition: { x: 0, z: 0 },
+    waves: [
+      {
+        groups: [
+          { type: "scout", count: 4, interval: 1200, spawnPoint: 0 },
+          {
+            type: "scout",
+            count: 4,
+            interval: 1200,
+            spawnPoint: 1,
+            delay: 600,
+          },
+        ],
+      },
+      {
+        groups: [
+          { type: "scout", count: 6, interval: 1000, spawnPoint: 0 },
+          { type: "tank", count: 3, interval: 2500, spawnPoint: 1 },
+        ],
+      },
+      {
+        groups: [
+          { type: "tank", count: 3, interval: 2500, spawnPoint: 0 },
+          {
+            type: "healer",
+            count: 2,
+            interval: 3000,
+            spawnPoint: 0,
+            delay: 1500,
+          },
+          { type: "sniper", count: 3, interval: 2000, spawnPoint: 1 },
+        ],
+      },
+      {
+        groups: [
+          {
+            type: "tank",
+            count: 5,
+            interval: 2000,
+            spawnPoint: 0,
+            multipliers: { health: 1.5 },
+          },
+          {
+            type: "scout",
+            count: 10,
+            interval: 700,
+            spawnPoint: 1,
+            multipliers: { speed: 1.3 },
+          },
+        ],
+      },
+    ],
   },
   {
     id: "quad-path",
@@ -84,6 +195,38 @@ const DEFENSE_MAPS = [
       { x: 25, z: 25 },
     ],
     basePosition: { x: 0, z: 0 },
+    waves: [
+      {
+        groups: [
+          { type: "scout", count: 3, interval: 1500, spawnPoint: 0 },
+          { type: "scout", count: 3, interval: 1500, spawnPoint: 1 },
+          { type: "scout", count: 3, interval: 1500, spawnPoint: 2 },
+          { type: "scout", count: 3, interval: 1500, spawnPoint: 3 },
+        ],
+      },
+      {
+        groups: [
+          { type: "tank", count: 2, interval: 3000, spawnPoint: 0 },
+          { type: "sniper", count: 2, interval: 3000, spawnPoint: 1 },
+          { type: "tank", count: 2, interval: 3000, spawnPoint: 2 },
+          { type: "sniper", count: 2, interval: 3000, spawnPoint: 3 },
+        ],
+      },
+      {
+        groups: [
+          {
+            type: "scout",
+            count: 8,
+            interval: 800,
+            spawnPoint: 0,
+            multipliers: { health: 1.5, speed: 1.2 },
+          },
+          { type: "healer", count: 3, interval: 2500, spawnPoint: 1 },
+          { type: "tank", count: 4, interval: 2000, spawnPoint: 2 },
+          { type: "healer", count: 3, interval: 2500, spawnPoint: 3 },
+        ],
+      },
+    ],
   },
   {
     id: "maze",
@@ -118,17 +261,664 @@ const DEFENSE_MAPS = [
     ],
     spawnPoints: [{ x: -25, z: 0 }],
     basePosition: { x: 0, z: 0 },
+    waves: [
+      { groups: [{ type: "scout", count: 10, interval: 800, spawnPoint: 0 }] },
+      {
+        groups: [
+          { type: "tank", count: 4, interval: 2500, spawnPoint: 0 },
+          {
+            type: "scout",
+            count: 6,
+            interval: 900,
+            spawnPoint: 0,
+            delay: 5000,
+          },
+        ],
+      },
+      {
+        groups: [
+          {
+            type: "tank",
+            count: 6,
+            interval: 2000,
+            spawnPoint: 0,
+            multipliers: { health: 1.4 },
+          },
+          {
+            type: "healer",
+            count: 4,
+            interval: 2000,
+            spawnPoint: 0,
+            delay: 1000,
+          },
+          {
+            type: "sniper",
+            count: 4,
+            interval: 2500,
+            spawnPoint: 0,
+            delay: 6000,
+          },
+        ],
+      },
+    ],
+  },
+  {
+    id: "open-field",
+    name: "Open Field",
+    description:
+      "No fixed paths or tower spots. Build anywhere on the grid and maze the robots.",
+    price: 600,
+    unlocked: false,
+    previewColor: "#00BCD4",
+    freeBuild: true,
+    spawnPoints: [
+      { x: -24, z: -16 },
+      { x: -24, z: 16 },
+    ],
+    basePosition: { x: 16, z: 0 },
+    waves: [
+      {
+        groups: [
+          { type: "scout", count: 5, interval: 1200, spawnPoint: 0 },
+          { type: "scout", count: 5, interval: 1200, spawnPoint: 1 },
+        ],
+      },
+      {
+        groups: [
+          { type: "scout", count: 6, interval: 1000, spawnPoint: 0 },
+          {
+            type: "tank",
+            count: 3,
+            interval: 2500,
+            spawnPoint: 1,
+            delay: 3000,
+          },
+        ],
+      },
+    ],
   },
 ];
 
+// Two points closer than this are treated as the same path joint
+const PATH_JOIN_TOLERANCE = 0.5;
+
+// Robots this close to the base on the last leg of their route reach it
+export const BASE_REACH_DISTANCE = 3;
+
+function isSamePoint(a, b) {
+  return (
+    Math.abs(a.x - b.x) < PATH_JOIN_TOLERANCE &&
+    Math.abs(a.z - b.z) < PATH_JOIN_TOLERANCE
+  );
+}
+
+// Follow a map's path segments from a spawn point, joining them end-to-start.
+// Stops at the base or where the segments run out.
+function followPathSegments(map, spawnPoint) {
+  const basePosition = map.basePosition || { x: 0, z: 0 };
+  const segments = map.paths || [];
+  const usedSegments = new Set();
+  const route = [{ x: spawnPoint.x, z: spawnPoint.z }];
+  let current = spawnPoint;
+
+  while (!isSamePoint(current, basePosition)) {
+    const nextIndex = segments.findIndex(
+      (segment, index) =>
+        !usedSegments.has(index) && isSamePoint(segment.start, current)
+    );
+    if (nextIndex === -1) break;
+
+    usedSegments.add(nextIndex);
+    current = segments[nextIndex].end;
+    route.push({ x: current.x, z: current.z });
+  }
+
+  return { route, reachesBase: isSamePoint(current, basePosition) };
+}
+
+// Build the ordered waypoints an enemy follows from a spawn point to the base.
+// Path segments are joined end-to-start, beginning with the one that starts at
+// the spawn point. The route always finishes at the base position. Returns
+// null if the spawn point is on the base, leaving no route to walk.
+export function getPathRoute(map, spawnPoint) {
+  const basePosition = map.basePosition || { x: 0, z: 0 };
+  const { route, reachesBase } = followPathSegments(map, spawnPoint);
+
+  // Walk straight to the base if the segments stop short of it
+  if (!reachesBase) {
+    route.push({ x: basePosition.x, z: basePosition.z });
+  }
+
+  return route.length < 2 ? null : route;
+}
+
+// Get the route for every spawn point of a map
+export function getMapRoutes(map) {
+  return (map.spawnPoints || []).map((spawnPoint) =>
+    getPathRoute(map, spawnPoint)
+  );
+}
+
+// Free-build maps use the 2-unit grid drawn over the 50x50 floor
+export const BUILD_GRID = { size: 50, cellSize: 2 };
+const BUILD_GRID_CELLS = BUILD_GRID.size / BUILD_GRID.cellSize;
+
+// Towers can't be built this close to the base (the base is 5 units wide)
+const BASE_BUILD_CLEARANCE = 3;
+
+// Get the grid cell ({ col, row }) under a world position
+export function getBuildCell(position) {
+  const toIndex = (value) =>
+    Math.min(
+      BUILD_GRID_CELLS - 1,
+      Math.max(
+        0,
+        Math.floor((value + BUILD_GRID.size / 2) / BUILD_GRID.cellSize)
+      )
+    );
+
+  return { col: toIndex(position.x), row: toIndex(position.z) };
+}
+
+// Get the world position of a grid cell's center
+export function getBuildCellCenter(cell) {
+  const toWorld = (index) =>
+    index * BUILD_GRID.cellSize - BUILD_GRID.size / 2 + BUILD_GRID.cellSize / 2;
+
+  return { x: toWorld(cell.col), z: toWorld(cell.row) };
+}
+
+// Key for a grid cell, for sets of occupied cells
+export function getBuildCellKey(cell) {
+  return `${cell.col},${cell.row}`;
+}
+
+// Snap a world position to the center of its grid cell
+export function snapToBuildGrid(position) {
+  return getBuildCellCenter(getBuildCell(position));
+}
+
+// Cells around the base and on spawn points stay clear of towers
+export function isReservedBuildCell(map, cell) {
+  const center = getBuildCellCenter(cell);
+  const basePosition = map.basePosition || { x: 0, z: 0 };
+  const key = getBuildCellKey(cell);
+
+  return (
+    (Math.abs(center.x - basePosition.x) < BASE_BUILD_CLEARANCE &&
+      Math.abs(center.z - basePosition.z) < BASE_BUILD_CLEARANCE) ||
+    (map.spawnPoints || []).some(
+      (spawnPoint) => getBuildCellKey(getBuildCell(spawnPoint)) === key
+    )
+  );
+}
+
+// Route across a free-build map from a position to the base, going around
+// the cells in `blockedCells` (a Set of getBuildCellKey keys). Waypoints are
+// only placed where the route turns. Returns null if every route is blocked,
+// or if `from` is already on the base.
+export function getBuildRoute(map, from, blockedCells) {
+  const basePosition = map.basePosition || { x: 0, z: 0 };
+
+  const cells = findGridPath(getBuildCell(from), getBuildCell(basePosition), {
+    cols: BUILD_GRID_CELLS,
+    rows: BUILD_GRID_CELLS,
+    isWalkable: (col, row) => !blockedCells.has(getBuildCellKey({ col, row })),
+  });
+  if (!cells) return null;
+
+  const route = [{ x: from.x, z: from.z }];
+  simplifyGridPath(cells).forEach((cell) => {
+    const waypoint = getBuildCellCenter(cell);
+    if (!isSamePoint(waypoint, route[route.length - 1])) {
+      route.push(waypoint);
+    }
+  });
+  const last = route[route.length - 1];
+  if (!isSamePoint(last, basePosition)) {
+    route.push({ x: basePosition.x, z: basePosition.z });
+  }
+
+  return route.length < 2 ? null : route;
+}
+
+// Robot types that join procedural waves, and the first wave they appear in
+const PROCEDURAL_WAVE_ROSTER = [
+  { type: "scout", fromWave: 1 },
+  { type: "tank", fromWave: 3 },
+  { type: "sniper", fromWave: 4 },
+  { type: "healer", fromWave: 5 },
+  { type: "drone", fromWave: 6 },
+];
+
+// Generate a wave once a map's scripted waves run out. Follows the original
+// curve of 5 + 2n robots with health scaled by 1 + 0.2n, split across the
+// unlocked robot types and the map's spawn points.
+export function generateWave(map, waveNumber) {
+  const totalEnemies = 5 + waveNumber * 2;
+  const roster = PROCEDURAL_WAVE_ROSTER.filter(
+    (entry) => waveNumber >= entry.fromWave
+  );
+  const spawnPointCount = Math.max(1, (map.spawnPoints || []).length);
+  const interval = Math.max(400, 1000 - waveNumber * 20);
+
+  const groups = roster.map((entry, index) => ({
+    type: entry.type,
+    count:
+      Math.floor(totalEnemies / roster.length) +
+      (index < totalEnemies % roster.length ? 1 : 0),
+    interval,
+    spawnPoint: (waveNumber + index) % spawnPointCount,
+    delay: index * 1500,
+    multipliers: { health: 1 + waveNumber * 0.2 },
+  }));
+
+  return { groups: groups.filter((group) => group.count > 0) };
+}
+
+// Close a wave with a boss once the rest of it has had time to arrive
+function addBossGroup(wave, waveNumber) {
+  const hasBoss = wave.groups.some((group) => {
+    const robotType = getRobotType(group.type);
+    return robotType && robotType.isBoss;
+  });
+  if (hasBoss) return wave;
+
+  const lastDelay = Math.max(
+    0,
+    ...wave.groups.map((group) => group.delay || 0)
+  );
+  const bossNumber = waveNumber / BOSS_CONFIG.waveInterval;
+
+  return {
+    ...wave,
+    groups: [
+      ...wave.groups,
+      {
+        type: BOSS_CONFIG.type,
+        count: 1,
+        interval: 1000,
+        spawnPoint: 0,
+        delay: lastDelay + 5000,
+        multipliers: { health: 1 + (bossNumber - 1) * 0.5 },
+      },
+    ],
+  };
+}
+
+// Get the wave to run for a map: scripted first, then procedural.
+// Every Nth wave also brings a boss.
+export function getWaveDefinition(map, waveNumber) {
+  const scriptedWaves = map.waves || [];
+  const wave = scriptedWaves[waveNumber - 1] || generateWave(map, waveNumber);
+  return isBossWave(waveNumber) ? addBossGroup(wave, waveNumber) : wave;
+}
+
+// Rewards for clearing a wave, before map and wave overrides
+const DEFAULT_WAVE_REWARDS = {
+  scrap: { metal: 3, electronic: 2, energy: 1 }, // Granted when the wave ends
+  scrapGrowth: 0.2, // Scrap grows by 20% of the base amount each wave
+  perfectBonus: { energy: 3 }, // Extra scrap when the base took no damage
+  coreDropChance: 0.05, // Chance for each kill to drop a core
+};
+
+// Get the rewards for a wave: defaults, then the map's, then the wave's own
+export function getWaveRewards(
+  map,
+  waveNumber,
+  wave = getWaveDefinition(map, waveNumber)
+) {
+  const rewards = {
+    ...DEFAULT_WAVE_REWARDS,
+    ...map.rewards,
+    ...wave.rewards,
+  };
+
+  const growth = 1 + rewards.scrapGrowth * (waveNumber - 1);
+  const scrap = {};
+  Object.entries(rewards.scrap).forEach(([scrapType, amount]) => {
+    scrap[scrapType] = Math.floor(amount * growth);
+  });
+
+  return {
+    scrap,
+    perfectBonus: rewards.perfectBonus,
+    coreDropChance: rewards.coreDropChance,
+  };
+}
+
+// Check a map definition from the map editor, a JSON file or browser storage
+// before it is played. Returns a list of readable problems; an empty list
+// means the map is valid.
+export function validateMap(map) {
+  if (!map || typeof map !== "object" || Array.isArray(map)) {
+    return ["The map is not an object."];
+  }
+
+  const errors = [];
+  const halfSize = BUILD_GRID.size / 2;
+
+  // Check one { x, z } point lies on the floor
+  const checkPoint = (point, label) => {
+    if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.z)) {
+      errors.push(`${label} needs numeric x and z coordinates.`);
+    } else if (Math.abs(point.x) > halfSize || Math.abs(point.z) > halfSize) {
+      errors.push(
+        `${label} (${point.x}, ${point.z}) is off the map; coordinates must be between -${halfSize} and ${halfSize}.`
+      );
+    }
+  };
+
+  // Get a list field; missing lists count as empty, anything else is reported
+  const getList = (field, label) => {
+    const list = map[field];
+    if (list === undefined) return [];
+    if (!Array.isArray(list)) {
+      errors.push(`${label} must be a list.`);
+      return null;
+    }
+    return list;
+  };
+
+  if (typeof map.id !== "string" || !/^[a-z0-9-]+$/.test(map.id)) {
+    errors.push("The ID must use lowercase letters, numbers and dashes.");
+  }
+  if (typeof map.name !== "string" || !map.name) {
+    errors.push("The map needs a name.");
+  }
+  if (!Number.isFinite(map.price) || map.price < 0) {
+    errors.push("The price must be a number of 0 or more.");
+  }
+
+  if (map.basePosition === undefined) {
+    errors.push("Place the base on the map.");
+  } else {
+    checkPoint(map.basePosition, "The base");
+  }
+
+  const spawnPoints = getList("spawnPoints", "Spawn points") || [];
+  if (
+    Array.isArray(map.spawnPoints) ? spawnPoints.length === 0 : !map.spawnPoints
+  ) {
+    errors.push("Add at least one spawn point.");
+  }
+  spawnPoints.forEach((spawnPoint, index) =>
+    checkPoint(spawnPoint, `Spawn point ${index + 1}`)
+  );
+
+  // Robots spawning on top of the base would have no route to walk
+  if (errors.length === 0 && map.basePosition) {
+    const baseCellKey = getBuildCellKey(getBuildCell(map.basePosition));
+    spawnPoints.forEach((spawnPoint, index) => {
+      const distance = Math.hypot(
+        spawnPoint.x - map.basePosition.x,
+        spawnPoint.z - map.basePosition.z
+      );
+      if (
+        distance < BASE_REACH_DISTANCE ||
+        (map.freeBuild &&
+          getBuildCellKey(getBuildCell(spawnPoint)) === baseCellKey)
+      ) {
+        errors.push(`Spawn point ${index + 1} is too close to the base.`);
+      }
+    });
+  }
+
+  // Timings are optional, but must be sensible when given
+  const isTiming = (value) =>
+    value === undefined || (Number.isFinite(value) && value >= 0);
+
+  // Check the optional reward overrides of the map or one of its waves
+  const checkRewards = (rewards, label) => {
+    if (rewards === undefined) return;
+    if (!rewards || typeof rewards !== "object" || Array.isArray(rewards)) {
+      errors.push(`${label} rewards must be an object.`);
+      return;
+    }
+
+    [
+      ["scrap", "scrap reward"],
+      ["perfectBonus", "perfect bonus"],
+    ].forEach(([field, name]) => {
+      const amounts = rewards[field];
+      if (amounts === undefined) return;
+      if (
+        !amounts ||
+        typeof amounts !== "object" ||
+        Array.isArray(amounts) ||
+        !Object.values(amounts).every(
+          (amount) => Number.isFinite(amount) && amount >= 0
+        )
+      ) {
+        errors.push(
+          `${label} ${name} must map scrap types to amounts of 0 or more.`
+        );
+      }
+    });
+    if (
+      rewards.scrapGrowth !== undefined &&
+      !(Number.isFinite(rewards.scrapGrowth) && rewards.scrapGrowth >= 0)
+    ) {
+      errors.push(`${label} scrap growth must be a number of 0 or more.`);
+    }
+    if (
+      rewards.coreDropChance !== undefined &&
+      !(rewards.coreDropChance >= 0 && rewards.coreDropChance <= 1)
+    ) {
+      errors.push(`${label} core drop chance must be between 0 and 1.`);
+    }
+  };
+
+  checkRewards(map.rewards, "The map's");
+
+  const waves = getList("waves", "Waves") || [];
+  waves.forEach((wave, index) => {
+    const groups = wave && wave.groups;
+    if (!Array.isArray(groups) || groups.length === 0) {
+      errors.push(`Wave ${index + 1} needs a list of spawn groups.`);
+      return;
+    }
+    checkRewards(wave.rewards, `Wave ${index + 1}'s`);
+
+    groups.forEach((group, groupIndex) => {
+      const label = `Wave ${index + 1} group ${groupIndex + 1}`;
+      if (!group || !getRobotType(group.type)) {
+        errors.push(`${label} has an unknown robot type.`);
+        return;
+      }
+      if (!Number.isInteger(group.count) || group.count < 1) {
+        errors.push(`${label} needs a whole number count of 1 or more.`);
+      }
+      if (!isTiming(group.interval) || !isTiming(group.delay)) {
+        errors.push(
+          `${label} needs an interval and delay of 0 or more milliseconds.`
+        );
+      }
+      if (
+        group.spawnPoint !== undefined &&
+        !(
+          Number.isInteger(group.spawnPoint) &&
+          group.spawnPoint >= 0 &&
+          group.spawnPoint < spawnPoints.length
+        )
+      ) {
+        errors.push(
+          `${label} uses spawn point ${
+            group.spawnPoint
+          }, but the map's spawn points are numbered from 0 to ${
+            spawnPoints.length - 1
+          }.`
+        );
+      }
+    });
+  });
+
+  if (map.freeBuild) return errors;
+
+  const towerSpots = getList("towerSpots", "Tower spots") || [];
+  if (
+    Array.isArray(map.towerSpots) ? towerSpots.length === 0 : !map.towerSpots
+  ) {
+    errors.push("Add at least one tower spot.");
+  }
+  towerSpots.forEach((spot, index) =>
+    checkPoint(spot, `Tower spot ${index + 1}`)
+  );
+
+  const paths = getList("paths", "Paths") || [];
+  paths.forEach((segment, index) => {
+    checkPoint(segment && segment.start, `Path segment ${index + 1} start`);
+    checkPoint(segment && segment.end, `Path segment ${index + 1} end`);
+  });
+
+  // Every spawn point needs a path that leads all the way to the base.
+  // Only worth checking once the points themselves are sound.
+  if (errors.length === 0) {
+    spawnPoints.forEach((spawnPoint, index) => {
+      if (!followPathSegments(map, spawnPoint).reachesBase) {
+        errors.push(`Spawn point ${index + 1} has no path to the base.`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+// Maps added while the game runs: map files, saved maps and editor test maps
+const customMaps = [];
+
+const STORED_MAPS_KEY = "dumrunner-custom-maps";
+let customMapsLoad = null; // Map files are only fetched once per session
+const fileMapIds = new Set(); // IDs of the maps loaded from public/maps
+
+// Check whether an ID belongs to a built-in map or a map file, which saved
+// and editor maps can't replace
+export function isProtectedMapId(id) {
+  return (
+    DEFENSE_MAPS.some((builtIn) => builtIn.id === id) || fileMapIds.has(id)
+  );
+}
+
+// Add or replace a custom map; built-in maps and map files can't be replaced
+export function addCustomMap(map) {
+  if (isProtectedMapId(map.id)) return false;
+
+  const index = customMaps.findIndex((custom) => custom.id === map.id);
+  if (index >= 0) {
+    customMaps[index] = map;
+  } else {
+    customMaps.push(map);
+  }
+  return true;
+}
+
+// Read the maps the player saved in this browser
+function loadStoredMaps() {
+  if (typeof window === "undefined" || !window.localStorage) return [];
+
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORED_MAPS_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (e) {
+    console.warn("Could not read saved maps:", e);
+    return [];
+  }
+}
+
+function writeStoredMaps(maps) {
+  try {
+    window.localStorage.setItem(STORED_MAPS_KEY, JSON.stringify(maps));
+  } catch (e) {
+    console.warn("Could not save maps:", e);
+  }
+}
+
+// Check if a map was saved in this browser
+export function isStoredMap(id) {
+  return loadStoredMaps().some((map) => map && map.id === id);
+}
+
+// Validate and register an incoming map; returns its problems (empty if added)
+function registerMap(map) {
+  const errors = validateMap(map);
+  if (errors.length === 0 && !addCustomMap(map)) {
+    errors.push(
+      `The ID "${map.id}" is already used by a built-in map or map file.`
+    );
+  }
+  return errors;
+}
+
+// Save a map in this browser and make it playable; returns its problems, if any
+export function saveStoredMap(map) {
+  const errors = registerMap(map);
+  if (errors.length > 0) return errors;
+
+  writeStoredMaps([
+    ...loadStoredMaps().filter((stored) => stored && stored.id !== map.id),
+    map,
+  ]);
+  return [];
+}
+
+// Forget a map saved in this browser
+export function removeStoredMap(id) {
+  writeStoredMaps(loadStoredMaps().filter((map) => map && map.id !== id));
+
+  const index = customMaps.findIndex((map) => map.id === id);
+  if (index >= 0) {
+    customMaps.splice(index, 1);
+  }
+}
+
+// Load custom maps from public/maps/*.json (listed by /api/maps) and from
+// browser storage. Invalid maps are skipped; resolves to a list of
+// { source, errors } for the map selector to show.
+export function loadCustomMaps() {
+  if (!customMapsLoad) {
+    customMapsLoad = fetch("/api/maps")
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then((entries) =>
+        entries.map(({ file, map, error }) => {
+          const errors = error ? [error] : registerMap(map);
+          if (errors.length === 0) {
+            fileMapIds.add(map.id);
+          }
+          return { source: `maps/${file}`, errors };
+        })
+      )
+      .catch((e) => [
+        {
+          source: "maps folder",
+          errors: [`Could not load the map files: ${e.message}`],
+        },
+      ])
+      .then((fileResults) => {
+        const storedResults = loadStoredMaps().map((map) => ({
+          source: `Saved map "${(map && map.name) || "unnamed"}"`,
+          errors: registerMap(map),
+        }));
+
+        return [...fileResults, ...storedResults].filter(
+          (result) => result.errors.length > 0
+        );
+      });
+  }
+
+  return customMapsLoad;
+}
+
 // Get all maps
 export function getAllMaps() {
-  return DEFENSE_MAPS;
+  return [...DEFENSE_MAPS, ...customMaps];
 }
 
 // Get a specific map by ID
 export function getMapById(id) {
-  return DEFENSE_MAPS.find((map) => map.id === id);
+  return getAllMaps().find((map) => map.id === id);
 }
 
 // Get the default map
@@ -146,4 +936,15 @@ export default {
   getMapById,
   getDefaultMap,
   getUnlockedMaps,
+  getPathRoute,
+  getMapRoutes,
+  getBuildRoute,
+  snapToBuildGrid,
+  validateMap,
+  addCustomMap,
+  loadCustomMaps,
+  saveStoredMap,
+  getWaveDefinition,
+  getWaveRewards,
+  generateWave,
 };
@@ -0,0 +1,174 @@
+// pathfinding.js - A* search over a grid of cells
+
+const DIAGONAL_COST = Math.SQRT2;
+
+// Binary heap of open cells, ordered by their estimated total cost
+function createOpenSet() {
+  const nodes = [];
+
+  const swap = (a, b) => {
+    [nodes[a], nodes[b]] = [nodes[b], nodes[a]];
+  };
+
+  return {
+    get size() {
+      return nodes.length;
+    },
+    push(node) {
+      nodes.push(node);
+      let index = nodes.length - 1;
+      while (index > 0) {
+        const parent = (index - 1) >> 1;
+        if (nodes[parent].f <= nodes[index].f) break;
+        swap(parent, index);
+        index = parent;
+      }
+    },
+    pop() {
+      const top = nodes[0];
+      const last = nodes.pop();
+      if (nodes.length > 0) {
+        nodes[0] = last;
+        let index = 0;
+        for (;;) {
+          const left = index * 2 + 1;
+          const right = left + 1;
+          let smallest = index;
+          if (left < nodes.length && nodes[left].f < nodes[smallest].f) {
+            smallest = left;
+          }
+          if (right < nodes.length && nodes[right].f < nodes[smallest].f) {
+            smallest = right;
+          }
+          if (smallest === index) break;
+          swap(smallest, index);
+          index = smallest;
+        }
+      }
+      return top;
+    },
+  };
+}
+
+// Estimated cost between two cells (Manhattan, or octile with diagonals)
+function estimateCost(a, b, allowDiagonal) {
+  const dx = Math.abs(a.col - b.col);
+  const dy = Math.abs(a.row - b.row);
+  if (!allowDiagonal) return dx + dy;
+  return Math.max(dx, dy) + (DIAGONAL_COST - 1) * Math.min(dx, dy);
+}
+
+// Find the cheapest path between two cells as a list of { col, row } cells,
+// start and goal included. `isWalkable(col, row)` decides which cells can be
+// crossed; the start and goal cells always can. `getCellCost(col, row)` can
+// make some cells dearer to step into (at least 1). Diagonal steps never cut
+// the corner of a blocked cell. Returns null when the goal can't be reached.
+export function findGridPath(
+  start,
+  goal,
+  { cols, rows, isWalkable, allowDiagonal = false, getCellCost = () => 1 }
+) {
+  const toKey = (col, row) => row * cols + col;
+  const startKey = toKey(start.col, start.row);
+  const goalKey = toKey(goal.col, goal.row);
+
+  const canEnter = (col, row) => {
+    if (col < 0 || row < 0 || col >= cols || row >= rows) return false;
+    const key = toKey(col, row);
+    return key === startKey || key === goalKey || isWalkable(col, row);
+  };
+
+  const steps = [
+    { dc: 1, dr: 0 },
+    { dc: -1, dr: 0 },
+    { dc: 0, dr: 1 },
+    { dc: 0, dr: -1 },
+  ];
+  if (allowDiagonal) {
+    steps.push(
+      { dc: 1, dr: 1 },
+      { dc: 1, dr: -1 },
+      { dc: -1, dr: 1 },
+      { dc: -1, dr: -1 }
+    );
+  }
+
+  const costSoFar = new Map([[startKey, 0]]);
+  const cameFrom = new Map();
+  const closed = new Set();
+  const open = createOpenSet();
+  open.push({
+    col: start.col,
+    row: start.row,
+    key: startKey,
+    f: estimateCost(start, goal, allowDiagonal),
+  });
+
+  while (open.size > 0) {
+    const current = open.pop();
+    if (closed.has(current.key)) continue;
+
+    if (current.key === goalKey) {
+      // Walk back from the goal to rebuild the path
+      const path = [{ col: current.col, row: current.row }];
+      let key = current.key;
+      while (cameFrom.has(key)) {
+        const previous = cameFrom.get(key);
+        path.unshift({ col: previous.col, row: previous.row });
+        key = previous.key;
+      }
+      return path;
+    }
+    closed.add(current.key);
+
+    steps.forEach(({ dc, dr }) => {
+      const col = current.col + dc;
+      const row = current.row + dr;
+      if (!canEnter(col, row)) return;
+
+      const isDiagonal = dc !== 0 && dr !== 0;
+      if (
+        isDiagonal &&
+        (!canEnter(current.col + dc, current.row) ||
+          !canEnter(current.col, current.row + dr))
+      ) {
+        return;
+      }
+
+      const key = toKey(col, row);
+      if (closed.has(key)) return;
+
+      const cost =
+        costSoFar.get(current.key) +
+        (isDiagonal ? DIAGONAL_COST : 1) * getCellCost(col, row);
+      if (costSoFar.has(key) && cost >= costSoFar.get(key)) return;
+
+      costSoFar.set(key, cost);
+      cameFrom.set(key, current);
+      open.push({
+        col,
+        row,
+        key,
+        f: cost + estimateCost({ col, row }, goal, allowDiagonal),
+      });
+    });
+  }
+
+  return null;
+}
+
+// Drop the cells in the middle of straight runs, keeping only the turns
+export function simplifyGridPath(path) {
+  if (path.length <= 2) return path;
+
+  return path.filter((cell, index) => {
+    if (index === 0 || index === path.length - 1) return true;
+
+    const previous = path[index - 1];
+    const next = path[index + 1];
+    return (
+      cell.col - previous.col !== next.col - cell.col ||
+      cell.row - previous.row !== next.row - cell.row
+    );
+  });
+}
@@ -45,6 +45,24 @@ const PROJECTILE_CONFIG = {
     lifetime: 2,
     particleCount: 6,
   },
+  drone: {
+    color: 0xff8800,
+    speed: 20,
+    size: 0.1,
+    fireRate: 2, // Rapid, weak bursts from above
+    damage: 3,
+    lifetime: 1.5,
+    particleCount: 4,
+  },
+  overlord: {
+    color: 0xff00ff,
+    speed: 14,
+    size: 0.35,
+    fireRate: 0.6, // Bosses pace their volleys by attack phase
+    damage: 12,
+    lifetime: 3,
+    particleCount: 10,
+  },
   player: {
     color: 0x00ff00, // Green energy projectiles
     speed: 30, // Faster than robot projectiles
@@ -156,7 +174,7 @@ export function createProjectile(robot, targetPosition, scene) {
 
   // Store properties in the projectile
   projectileGroup.velocity = direction.multiplyScalar(config.speed);
-  projectileGroup.damage = config.damage;
+  projectileGroup.damage = config.damage * (robot.damageMultiplier || 1);
   projectileGroup.lifetime = config.lifetime;
   projectileGroup.elapsedTime = 0;
   projectileGroup.config = config;
@@ -0,0 +1,65 @@
+// random.js - Seedable random numbers, so a dungeon can be rebuilt from its seed
+
+// Seeds are unsigned 32-bit integers
+const SEED_RANGE = 2 ** 32;
+
+// Hash text into a seed (FNV-1a)
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Pick a fresh seed when the player didn't ask for one
+export function createSeed() {
+  return Math.floor(Math.random() * SEED_RANGE);
+}
+
+// Turn a seed the player typed into a seed number. Numbers are used as they
+// are; any other text is hashed so word seeds work too. Returns null when
+// there is no seed.
+export function parseSeed(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  if (text.trim() === "") return null;
+
+  const trimmed = text.trim();
+  return /^\d+$/.test(trimmed) && Number(trimmed) < SEED_RANGE
+    ? Number(trimmed)
+    : hashText(trimmed);
+}
+
+// The seed from a `?seed=` URL parameter, or null
+export function getUrlSeed() {
+  if (typeof window === "undefined") return null;
+  return parseSeed(new URLSearchParams(window.location.search).get("seed"));
+}
+
+// Derive a separate, repeatable seed from another one, e.g. one per level
+export function deriveSeed(seed, salt) {
+  return hashText(`${seed}:${salt}`);
+}
+
+// Create a random number generator (mulberry32) that always gives the same
+// numbers for the same seed
+export function createRandom(seed) {
+  let state = seed >>> 0;
+
+  // Number from 0 (inclusive) to 1 (exclusive), like Math.random
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / SEED_RANGE;
+  };
+
+  return {
+    seed,
+    next,
+    // Whole number from min to max, both inclusive
+    int: (min, max) => Math.floor(next() * (max - min + 1) + min),
+  };
+}
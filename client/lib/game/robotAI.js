@@ -3,6 +3,32 @@
 import * as THREE from "three";
 import { ROBOT_STATES, ROBOT_BEHAVIORS } from "./robotConfig";
 import audioManager from "./audioManager";
+import { getSpeedMultiplier } from "./statusEffects";
+import { findGridPath, simplifyGridPath } from "./pathfinding";
+
+// Cell values in the dungeon's traversability grid
+const WALL_CELL = 1;
+const NEAR_WALL_CELL = 2;
+
+const NEAR_WALL_COST = 3; // Paths hug walls only when there's no other way
+const REPLAN_DISTANCE = 1.5; // How far a target can move before re-planning
+const REPLAN_INTERVAL = 0.5; // Seconds between re-plans while a target moves
+const WAYPOINT_RADIUS = 0.4; // How close counts as reaching a waypoint
+const GOAL_SEARCH_RADIUS = 3; // Cells searched for floor around a goal in a wall
+
+// Grid of the dungeon robots find their way around, set by dungeon mode
+let navigation = null;
+
+// Use the traversability grid of a newly generated dungeon for pathfinding
+export function setNavigationGrid(dungeonData) {
+  navigation = dungeonData
+    ? {
+        grid: dungeonData.traversabilityGrid,
+        mapSize: dungeonData.mapSize,
+        gridSize: dungeonData.gridSize,
+      }
+    : null;
+}
 
 // Handles robot AI state transitions and behaviors
 export function updateRobotAI(robot, playerPos, delta, scene) {
@@ -178,9 +204,10 @@ function changeState(robot, newState) {
       break;
   }
 
-  // Update state and reset timer
+  // Update state and reset timer; the new state heads somewhere else
   robot.aiState = newState;
   robot.aiData.stateTimer = 0;
+  robot.aiData.path = null;
   robot.aiData.lastStateChange = performance.now();
 }
 
@@ -271,17 +298,33 @@ function executePatrolState(robot, delta, scene) {
   }
 }
 
-// Generate patrol points around current position
+// Generate patrol points around current position, on floor the robot can
+// reach. Points that land in or behind walls are pulled in towards the robot.
 function generatePatrolPoints(robot) {
   const aiData = robot.aiData;
   const patrolRadius = 10 + Math.random() * 5;
   const numPoints = 3 + Math.floor(Math.random() * 3);
+  const y = robot.isFlying ? robot.flight.altitude : robot.position.y;
 
   for (let i = 0; i < numPoints; i++) {
     const angle = (i / numPoints) * Math.PI * 2;
-    const x = robot.position.x + Math.cos(angle) * patrolRadius;
-    const z = robot.position.z + Math.sin(angle) * patrolRadius;
-    aiData.patrolPoints.push(new THREE.Vector3(x, 0, z));
+
+    for (let scale = 1; scale > 0; scale -= 0.25) {
+      const point = new THREE.Vector3(
+        robot.position.x + Math.cos(angle) * patrolRadius * scale,
+        y,
+        robot.position.z + Math.sin(angle) * patrolRadius * scale
+      );
+      if (isReachable(robot.position, point)) {
+        aiData.patrolPoints.push(point);
+        break;
+      }
+    }
+  }
+
+  // Boxed in: stand guard where it is
+  if (aiData.patrolPoints.length === 0) {
+    aiData.patrolPoints.push(robot.position.clone());
   }
 
   aiData.currentPatrolIndex = 0;
@@ -404,7 +447,8 @@ function executeFleeState(robot, playerPos, delta, scene) {
   moveTowardsTarget(robot, targetPos, delta, scene, 1.5); // Move faster when fleeing
 }
 
-// Move robot towards a target position with collision avoidance
+// Move robot towards a target position along a grid path, with collision
+// avoidance
 function moveTowardsTarget(
   robot,
   targetPos,
@@ -414,18 +458,23 @@ function moveTowardsTarget(
 ) {
   if (!robot || !targetPos || !scene) return;
 
-  // Calculate direction to target
+  // Head for the next waypoint on the way to the target
+  const waypoint = getNextWaypoint(robot, targetPos, delta);
+
+  // Calculate direction to the waypoint
   const direction = new THREE.Vector3();
-  direction.subVectors(targetPos, robot.position).normalize();
+  direction.subVectors(waypoint, robot.position).normalize();
 
-  // Face the target
-  faceTarget(robot, targetPos);
+  // Face the waypoint
+  faceTarget(robot, waypoint);
 
-  // Calculate new position with speed adjustment
-  const speed = robot.speed * speedMultiplier;
+  // Calculate new position with speed adjustment (including slows)
+  const speed = robot.speed * speedMultiplier * getSpeedMultiplier(robot);
   const newPosition = new THREE.Vector3(
     robot.position.x + direction.x * speed * delta * 30,
-    robot.position.y,
+    robot.isFlying
+      ? getFlightHeight(robot, targetPos, delta)
+      : robot.position.y,
     robot.position.z + direction.z * speed * delta * 30
   );
 
@@ -437,7 +486,7 @@ function moveTowardsTarget(
     // Try to slide along walls by breaking movement into x and z components
     const xMovement = new THREE.Vector3(
       robot.position.x + direction.x * speed * delta * 30,
-      robot.position.y,
+      newPosition.y,
       robot.position.z
     );
 
@@ -447,14 +496,168 @@ function moveTowardsTarget(
 
     const zMovement = new THREE.Vector3(
       robot.position.x,
-      robot.position.y,
+      newPosition.y,
       robot.position.z + direction.z * speed * delta * 30
     );
 
     if (!checkRobotWallCollision(robot, zMovement, scene)) {
       robot.position.z = zMovement.z;
     }
+
+    robot.position.y = newPosition.y;
+  }
+}
+
+// Next point to head for on the way to a target. Paths are cached in the
+// robot's AI data and re-planned once the target moves; robots head straight
+// for targets they have no path to.
+function getNextWaypoint(robot, targetPos, delta) {
+  if (!navigation) return targetPos;
+
+  const aiData = robot.aiData;
+  let path = aiData.path;
+  if (path) {
+    path.age += delta;
+  }
+
+  const targetMoved = path ? path.target.distanceTo(targetPos) : Infinity;
+  if (
+    targetMoved > REPLAN_DISTANCE * 4 ||
+    (targetMoved > REPLAN_DISTANCE && path.age >= REPLAN_INTERVAL)
+  ) {
+    path = {
+      waypoints: findPath(robot.position, targetPos),
+      target: targetPos.clone(),
+      index: 0,
+      age: 0,
+    };
+    aiData.path = path;
+  }
+
+  if (!path.waypoints) return targetPos;
+
+  // Skip the waypoints the robot has reached
+  while (
+    path.index < path.waypoints.length &&
+    getHorizontalDistance(robot.position, path.waypoints[path.index]) <
+      WAYPOINT_RADIUS
+  ) {
+    path.index++;
+  }
+
+  return path.index < path.waypoints.length
+    ? path.waypoints[path.index]
+    : targetPos;
+}
+
+// Find a path between two world positions as a list of waypoints, or null
+// when there's no way through. A target inside a wall is swapped for the
+// nearest floor next to it.
+function findPath(from, to) {
+  const { grid, mapSize } = navigation;
+  const targetCell = worldToCell(to);
+  const goal = findNearestFloorCell(targetCell);
+  if (!goal) return null;
+
+  const cells = findGridPath(worldToCell(from), goal, {
+    cols: mapSize,
+    rows: mapSize,
+    isWalkable: isFloorCell,
+    allowDiagonal: true,
+    getCellCost: (col, row) =>
+      grid[col][row] === NEAR_WALL_CELL ? NEAR_WALL_COST : 1,
+  });
+  if (!cells) return null;
+
+  const waypoints = simplifyGridPath(cells)
+    .slice(1)
+    .map((cell) => cellToWorld(cell, to.y));
+
+  // End on the target itself when it's on the floor
+  if (
+    waypoints.length > 0 &&
+    goal.col === targetCell.col &&
+    goal.row === targetCell.row
+  ) {
+    waypoints[waypoints.length - 1] = to.clone();
+  }
+  return waypoints;
+}
+
+// Check that a point is on floor a robot can get to from where it is
+function isReachable(from, point) {
+  if (!navigation) return true;
+
+  const cell = worldToCell(point);
+  return isFloorCell(cell.col, cell.row) && findPath(from, point) !== null;
+}
+
+// Grid cell a world position is in
+function worldToCell(position) {
+  const { mapSize, gridSize } = navigation;
+  return {
+    col: Math.floor(position.x / gridSize + mapSize / 2),
+    row: Math.floor(position.z / gridSize + mapSize / 2),
+  };
+}
+
+// World position of the center of a grid cell, at a given height
+function cellToWorld(cell, y) {
+  const { mapSize, gridSize } = navigation;
+  return new THREE.Vector3(
+    (cell.col - mapSize / 2 + 0.5) * gridSize,
+    y,
+    (cell.row - mapSize / 2 + 0.5) * gridSize
+  );
+}
+
+// Check whether a grid cell is floor (cells next to walls count)
+function isFloorCell(col, row) {
+  const { grid, mapSize } = navigation;
+  return (
+    col >= 0 &&
+    row >= 0 &&
+    col < mapSize &&
+    row < mapSize &&
+    grid[col][row] !== WALL_CELL
+  );
+}
+
+// Nearest floor cell to a cell, searching outwards ring by ring
+function findNearestFloorCell(cell) {
+  for (let radius = 0; radius <= GOAL_SEARCH_RADIUS; radius++) {
+    for (let dc = -radius; dc <= radius; dc++) {
+      for (let dr = -radius; dr <= radius; dr++) {
+        const onRing = Math.max(Math.abs(dc), Math.abs(dr)) === radius;
+        if (onRing && isFloorCell(cell.col + dc, cell.row + dr)) {
+          return { col: cell.col + dc, row: cell.row + dr };
+        }
+      }
+    }
   }
+  return null;
+}
+
+// Distance between two positions, ignoring height
+function getHorizontalDistance(a, b) {
+  return Math.hypot(a.x - b.x, a.z - b.z);
+}
+
+// Height a drone moves to this frame: it eases towards the height of its
+// target within its flight band
+function getFlightHeight(robot, targetPos, delta) {
+  const { minAltitude, maxAltitude, climbSpeed } = robot.flight;
+  const desiredHeight = THREE.MathUtils.clamp(
+    targetPos.y,
+    minAltitude,
+    maxAltitude
+  );
+  const maxStep = climbSpeed * delta;
+
+  return (
+    robot.position.y +
+    THREE.MathUtils.clamp(desiredHeight - robot.position.y, -maxStep, maxStep)
+  );
 }
 
 // Make robot face towards a target
@@ -574,10 +777,10 @@ function checkRobotWallCollision(robot, newPosition, scene) {
           Math.sin(angle) * direction.x + Math.cos(angle) * direction.z
         ).normalize();
 
-        // Set ray origin
+        // Set ray origin at the height being moved to (drones change altitude)
         const rayOrigin = new THREE.Vector3(
           robot.position.x,
-          robot.position.y + heightOffset,
+          newPosition.y + heightOffset,
           robot.position.z
         );
 
@@ -617,5 +820,6 @@ function checkRobotWallCollision(robot, newPosition, scene) {
 
 export default {
   updateRobotAI,
+  setNavigationGrid,
   ROBOT_STATES,
 };
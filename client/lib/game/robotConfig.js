@@ -25,6 +25,7 @@ const ROBOT_TYPES = [
     health: 80,
     attack: 10,
     speed: 0.1,
+    armor: 0.25, // Blocks a quarter of incoming damage
     coreValue: "power",
     description: "Heavy armor, slow movement",
     scrapValue: 4,
@@ -61,8 +62,85 @@ const ROBOT_TYPES = [
     scrapType: "energy",
     coreDropChance: 0.2,
   },
+  {
+    id: "drone",
+    name: "Drone",
+    color: 0xff8800,
+    size: 0.6,
+    height: 0.4,
+    health: 18,
+    attack: 4,
+    speed: 0.25,
+    coreValue: "speed",
+    description: "Flying drone that ignores ground paths and cover",
+    scrapValue: 2,
+    scrapType: "electronic",
+    coreDropChance: 0.15,
+    isFlying: true,
+    // Heights the drone flies between; it cruises at `altitude`. Dungeon
+    // walls reach the ceiling, so drones steer around them like ground robots.
+    flight: {
+      altitude: 2.6,
+      minAltitude: 1.5,
+      maxAltitude: 3,
+      climbSpeed: 1.5,
+    },
+  },
+  {
+    id: "overlord",
+    name: "Overlord",
+    isBoss: true, // Only spawned by boss encounters, never at random
+    color: 0xff00ff,
+    size: 2,
+    height: 3,
+    health: 500,
+    attack: 20,
+    speed: 0.08,
+    armor: 0.3,
+    coreValue: "power",
+    description: "Heavily armed command unit that grows deadlier as it breaks",
+    scrapValue: 20,
+    scrapType: "energy",
+    coreDropChance: 1,
+    // Attack phases, entered as health drops below each threshold
+    phases: [
+      {
+        name: "Assault",
+        healthThreshold: 1,
+        speedMultiplier: 1,
+        fireRate: 0.6, // Volleys per second
+        projectileCount: 1,
+        spread: 0,
+      },
+      {
+        name: "Barrage",
+        healthThreshold: 0.66,
+        speedMultiplier: 1,
+        fireRate: 0.8,
+        projectileCount: 5,
+        spread: 0.4, // Radians between the outermost shots and the aim line
+      },
+      {
+        name: "Frenzy",
+        healthThreshold: 0.33,
+        speedMultiplier: 1.8,
+        fireRate: 1.2,
+        projectileCount: 3,
+        spread: 0.25,
+      },
+    ],
+  },
 ];
 
+// When boss encounters happen and what they reward
+export const BOSS_CONFIG = {
+  type: "overlord",
+  waveInterval: 5, // Every 5th defense wave
+  dungeonLevelInterval: 5, // Exit room of every 5th dungeon level
+  corePower: 5, // Regular robots drop power 1-3 cores, more deep in the dungeon
+  coreRarity: "epic", // Lowest rarity a boss core can roll
+};
+
 // Define robot AI states
 export const ROBOT_STATES = {
   IDLE: "idle",
@@ -148,8 +226,78 @@ export const ROBOT_BEHAVIORS = {
       [ROBOT_STATES.FLEEING]: 0.7, // Often flees
     },
   },
+  drone: {
+    defaultState: ROBOT_STATES.PATROLLING,
+    detectionRange: 16,
+    attackRange: 8,
+    fleeHealthThreshold: 0.2,
+    hideChance: 0, // Nowhere to hide in the air
+    searchDuration: 6,
+    stateWeights: {
+      [ROBOT_STATES.IDLE]: 0.05,
+      [ROBOT_STATES.PATROLLING]: 0.7,
+      [ROBOT_STATES.SEARCHING]: 0.8,
+      [ROBOT_STATES.CHASING]: 0.9,
+      [ROBOT_STATES.SHOOTING]: 0.8,
+      [ROBOT_STATES.HIDING]: 0,
+      [ROBOT_STATES.FLEEING]: 0.4,
+    },
+  },
+  overlord: {
+    defaultState: ROBOT_STATES.PATROLLING,
+    detectionRange: 20,
+    attackRange: 14,
+    fleeHealthThreshold: 0, // Fights to the end
+    hideChance: 0,
+    searchDuration: 10,
+    stateWeights: {
+      [ROBOT_STATES.IDLE]: 0.1,
+      [ROBOT_STATES.PATROLLING]: 0.4,
+      [ROBOT_STATES.SEARCHING]: 0.8,
+      [ROBOT_STATES.CHASING]: 1.0,
+      [ROBOT_STATES.SHOOTING]: 1.0,
+      [ROBOT_STATES.HIDING]: 0,
+      [ROBOT_STATES.FLEEING]: 0,
+    },
+  },
+};
+
+// Define how each robot type attacks the base in defense mode
+export const DEFENSE_BEHAVIORS = {
+  scout: {
+    // Sprints in short bursts
+    sprint: { interval: 4, duration: 1, speedMultiplier: 2.5 },
+    // Strikes towers it passes
+    melee: { range: 4.5, interval: 1.5 },
+  },
+  tank: {
+    // Armor plating reflects most of a laser's energy
+    resistances: { laser: 0.5 },
+    melee: { range: 4.5, interval: 2 },
+  },
+  sniper: {
+    // Stops once a tower or the base is in range and shoots it
+    attackRange: 10,
+    fireInterval: 3,
+  },
+  healer: {
+    // Repairs nearby robots
+    healRange: 5,
+    healAmount: 4,
+    healInterval: 2,
+  },
+  overlord: {
+    // Fires at towers and the base while it walks; volleys follow its phase
+    attackRange: 8,
+    resistances: { tesla: 0.5 },
+  },
 };
 
+// Get the defense mode behavior for a robot type
+export function getDefenseBehavior(id) {
+  return DEFENSE_BEHAVIORS[id] || {};
+}
+
 // Get all robot types
 export function getRobotTypes() {
   return ROBOT_TYPES;
@@ -160,7 +308,33 @@ export function getRobotType(id) {
   return ROBOT_TYPES.find((type) => type.id === id);
 }
 
-// Get a random robot type
+// Get a random ground robot type. Bosses and drones only appear where a
+// wave or dungeon depth asks for them.
 export function getRandomRobotType() {
-  return ROBOT_TYPES[Math.floor(Math.random() * ROBOT_TYPES.length)];
+  const regularTypes = ROBOT_TYPES.filter(
+    (type) => !type.isBoss && !type.isFlying
+  );
+  return regularTypes[Math.floor(Math.random() * regularTypes.length)];
+}
+
+// Check whether a defense wave ends with a boss
+export function isBossWave(waveNumber) {
+  return waveNumber > 0 && waveNumber % BOSS_CONFIG.waveInterval === 0;
+}
+
+// Check whether a dungeon level has a boss guarding its exit
+export function isBossLevel(level) {
+  return level > 0 && level % BOSS_CONFIG.dungeonLevelInterval === 0;
+}
+
+// Get the index of the attack phase a boss is in at a given health fraction
+export function getBossPhaseIndex(robotType, healthFraction) {
+  const phases = robotType.phases || [];
+  let phaseIndex = 0;
+  phases.forEach((phase, index) => {
+    if (healthFraction <= phase.healthThreshold) {
+      phaseIndex = index;
+    }
+  });
+  return phaseIndex;
 }
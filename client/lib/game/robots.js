@@ -1,7 +1,10 @@
 // robots.js - Robot spawning and handling functionality
 import * as THREE from "three";
-import { getRobotType, getRandomRobotType } from "./robotConfig";
+import { getRobotType, getRandomRobotType, BOSS_CONFIG } from "./robotConfig";
 import { ROBOT_BEHAVIORS } from "./robotConfig";
+import { getArmorReduction } from "./statusEffects";
+import { createCore } from "./coreConfig";
+import { captureCore } from "./coreLedger";
 // Track all active robots
 let robotsArray = [];
 let scrapPiles = [];
@@ -36,6 +39,7 @@ export function spawnRobot(x, z, scene, robotTypeId = null) {
     canSeePlayer: false,
     lastSeenPlayerPosition: new THREE.Vector3(),
     stateTimer: 0,
+    path: null, // Cached grid path to its current target
   };
 
   // Create robot body
@@ -88,8 +92,16 @@ export function spawnRobot(x, z, scene, robotTypeId = null) {
   );
   head.add(rightEye);
 
-  // Position robot
-  robot.position.set(x, robotType.height / 2, z);
+  if (robotType.isFlying) {
+    addDroneRotors(robot, robotType);
+  }
+
+  // Position robot; drones start at their cruising altitude
+  robot.position.set(
+    x,
+    robotType.isFlying ? robotType.flight.altitude : robotType.height / 2,
+    z
+  );
 
   // Add robot properties from config
   Object.assign(robot, {
@@ -104,6 +116,13 @@ export function spawnRobot(x, z, scene, robotTypeId = null) {
     scrapType: robotType.scrapType,
     description: robotType.description,
     coreDropChance: robotType.coreDropChance, // New property for core drop chance
+    corePowerBonus: 0, // Added to the power of the core it drops
+    damageMultiplier: 1, // Scales the damage of its shots
+    armor: robotType.armor || 0, // Fraction of incoming damage blocked
+    isBoss: !!robotType.isBoss,
+    isFlying: !!robotType.isFlying,
+    flight: robotType.flight || null,
+    statusEffects: {},
   });
   const healthBarWidth = robotType.size * 1.2;
   const healthBarHeight = 0.2; // Increased height for better visibility
@@ -153,6 +172,33 @@ export function spawnRobot(x, z, scene, robotTypeId = null) {
   return robot;
 }
 
+// Give a flying robot a rotor at each corner of its body
+function addDroneRotors(robot, robotType) {
+  const rotorGeometry = new THREE.CylinderGeometry(
+    robotType.size * 0.3,
+    robotType.size * 0.3,
+    0.05,
+    12
+  );
+  const rotorMaterial = new THREE.MeshLambertMaterial({
+    color: 0x222222,
+    transparent: true,
+    opacity: 0.7,
+  });
+  const offset = robotType.size * 0.6;
+
+  [
+    [-offset, -offset],
+    [-offset, offset],
+    [offset, -offset],
+    [offset, offset],
+  ].forEach(([x, z]) => {
+    const rotor = new THREE.Mesh(rotorGeometry, rotorMaterial);
+    rotor.position.set(x, robotType.height / 2, z);
+    robot.add(rotor);
+  });
+}
+
 // Update robot health bar
 export function updateRobotHealthBar(robot) {
   if (!robot.healthBar) return;
@@ -207,7 +253,9 @@ export function updateHealthBarBillboarding(robot, camera) {
 export function damageRobot(robot, damage, scene) {
   if (!robot || !robot.isRobot) return false;
 
-  robot.health -= damage;
+  // Armor blocks part of the damage; shred can push it below zero
+  const armor = Math.max(-0.5, robot.armor - getArmorReduction(robot));
+  robot.health -= damage * (1 - armor);
   updateRobotHealthBar(robot);
 
   // Play the hit animation (add scene parameter)
@@ -365,7 +413,8 @@ export function destroyRobot(robot, scene) {
   // Remove from tracking array
   robotsArray = robotsArray.filter((r) => r !== robot);
 
-  // Only create scrap and drop cores in dungeon mode (not for enemies in defense mode)
+  // Scrap and core items only drop in dungeon mode; defense mode pays scrap
+  // per wave and collects dropped cores automatically
   if (!robot.isEnemy) {
     // Create scrap at robot's position
     createScrapPile(
@@ -379,31 +428,30 @@ export function destroyRobot(robot, scene) {
     const coreDropChance = robot.coreDropChance;
 
     if (Math.random() < coreDropChance) {
-      const core = {
-        type: robot.type,
-        value: robot.coreValue,
-        power: randomInt(1, 3), // Random power level
-      };
+      const core = createRobotCore(robot);
 
-      // Create a visual core item at robot's position
+      // Create a visual core item at robot's position; the player owns the
+      // core once they pick it up
       createCoreItem(robot.position.x, robot.position.z, core, scene);
 
-      // Dispatch event to update React state
-      document.dispatchEvent(
-        new CustomEvent("robotCaptured", {
-          detail: {
-            robot: {
-              type: robot.type,
-              coreValue: robot.coreValue,
-              power: core.power,
-            },
-            cores: window.capturedCores,
-          },
-        })
-      );
-
       console.log(`Robot destroyed and dropped a ${core.value} core!`);
     }
+  } else if (Math.random() < robot.coreDropChance) {
+    const core = captureCore(createRobotCore(robot));
+    createCollectionEffect(robot.position.clone(), scene);
+
+    document.dispatchEvent(
+      new CustomEvent("robotCaptured", {
+        detail: {
+          robot: {
+            type: robot.type,
+            coreValue: robot.coreValue,
+            power: core.power,
+          },
+          core,
+        },
+      })
+    );
   }
 
   // Create destruction effect (keep this for both modes)
@@ -413,11 +461,31 @@ export function destroyRobot(robot, scene) {
   scene.remove(robot);
 }
 
+// Create the core a robot leaves behind; bosses always leave a powerful,
+// rare one. The core remembers which kind of robot it came from.
+export function createRobotCore(robot) {
+  const core = robot.isBoss
+    ? createCore(
+        robot.type,
+        robot.coreValue,
+        BOSS_CONFIG.corePower,
+        BOSS_CONFIG.coreRarity
+      )
+    : createCore(
+        robot.type,
+        robot.coreValue,
+        randomInt(1, 3) + robot.corePowerBonus
+      );
+
+  return { ...core, provenance: { robotType: robot.typeId } };
+}
+
 // Add a new function to create a core visual item
 export function createCoreItem(x, z, core, scene) {
   // Core visuals
   const coreGroup = new THREE.Group();
   coreGroup.isCore = true;
+  coreGroup.core = core; // Added to the core ledger when picked up
 
   // Determine color based on core value
   let coreColor;
@@ -704,28 +772,25 @@ export function checkScrapCollection(playerPosition, scene, collectRadius = 2) {
   return collectedScrap;
 }
 
+// Pick up the core items near the player; returns the collected cores' data
+// for the caller to add to the core ledger
 export function checkCoreCollection(playerPosition, scene, collectRadius = 2) {
   const collectedCores = [];
 
   // Check each core item
   for (let i = coreItems.length - 1; i >= 0; i--) {
-    const core = coreItems[i];
-    const distance = playerPosition.distanceTo(core.position);
+    const coreItem = coreItems[i];
+    const distance = playerPosition.distanceTo(coreItem.position);
 
     if (distance < collectRadius) {
       // Core was collected
-
-      // Add to global array (for compatibility)
-      if (!window.capturedCores) {
-        window.capturedCores = [];
-      }
-      window.capturedCores.push(core);
+      collectedCores.push(coreItem.core);
 
       // Create collection effect
-      createCollectionEffect(core.position.clone(), scene);
+      createCollectionEffect(coreItem.position.clone(), scene);
 
       // Remove from scene and array
-      scene.remove(core);
+      scene.remove(coreItem);
       coreItems.splice(i, 1);
 
       console.log("Core collected!");
@@ -802,6 +867,7 @@ export default {
   updateHealthBarBillboarding,
   damageRobot,
   destroyRobot,
+  createRobotCore,
   createScrapPile,
   checkScrapCollection,
   checkCoreCollection,
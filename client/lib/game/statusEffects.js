@@ -0,0 +1,148 @@
+// statusEffects.js - Timed status effects on robots (burns, slows, stuns, shred)
+import * as THREE from "three";
+
+// Status effect definitions. Values marked "per stack" scale with stacks.
+export const STATUS_EFFECTS = {
+  burn: {
+    name: "Burning",
+    color: 0xff6600,
+    duration: 3, // Seconds, refreshed when reapplied
+    maxStacks: 5,
+    tickInterval: 0.5,
+    tickDamage: 2, // Per stack
+  },
+  slow: {
+    name: "Slowed",
+    color: 0x66ccff,
+    duration: 2,
+    maxStacks: 3,
+    speedMultiplier: 0.7, // Per stack, multiplied together
+  },
+  stun: {
+    name: "Stunned",
+    color: 0xffff66,
+    duration: 0.3,
+    maxStacks: 1,
+    speedMultiplier: 0, // Stops movement entirely
+  },
+  shred: {
+    name: "Shredded",
+    color: 0x99ff33,
+    duration: 4,
+    maxStacks: 5,
+    armorReduction: 0.1, // Per stack
+  },
+};
+
+// Apply (or stack) a status effect on a robot
+export function applyStatusEffect(robot, effectId, stacks = 1) {
+  const config = STATUS_EFFECTS[effectId];
+  if (!robot || !config) return;
+
+  robot.statusEffects = robot.statusEffects || {};
+  const existing = robot.statusEffects[effectId];
+
+  if (existing) {
+    existing.stacks = Math.min(config.maxStacks, existing.stacks + stacks);
+    existing.remaining = config.duration;
+  } else {
+    robot.statusEffects[effectId] = {
+      stacks: Math.min(config.maxStacks, stacks),
+      remaining: config.duration,
+      tickTimer: 0,
+    };
+    updateStatusIcons(robot);
+  }
+}
+
+// Advance a robot's effects; returns the tick damage dealt this frame
+export function updateStatusEffects(robot, delta) {
+  if (!robot.statusEffects) return 0;
+
+  let tickDamage = 0;
+  let expired = false;
+
+  Object.entries(robot.statusEffects).forEach(([effectId, effect]) => {
+    const config = STATUS_EFFECTS[effectId];
+
+    if (config.tickDamage) {
+      effect.tickTimer += delta;
+      while (effect.tickTimer >= config.tickInterval) {
+        effect.tickTimer -= config.tickInterval;
+        tickDamage += config.tickDamage * effect.stacks;
+      }
+    }
+
+    effect.remaining -= delta;
+    if (effect.remaining <= 0) {
+      delete robot.statusEffects[effectId];
+      expired = true;
+    }
+  });
+
+  if (expired) {
+    updateStatusIcons(robot);
+  }
+
+  return tickDamage;
+}
+
+// Combined movement speed multiplier from all active effects
+export function getSpeedMultiplier(robot) {
+  if (!robot.statusEffects) return 1;
+
+  return Object.entries(robot.statusEffects).reduce(
+    (multiplier, [effectId, effect]) => {
+      const config = STATUS_EFFECTS[effectId];
+      // Stuns have a multiplier of 0, so check for a value, not truthiness
+      return config.speedMultiplier !== undefined
+        ? multiplier * Math.pow(config.speedMultiplier, effect.stacks)
+        : multiplier;
+    },
+    1
+  );
+}
+
+// Total armor removed by active effects
+export function getArmorReduction(robot) {
+  if (!robot.statusEffects) return 0;
+
+  return Object.entries(robot.statusEffects).reduce(
+    (reduction, [effectId, effect]) =>
+      reduction +
+      (STATUS_EFFECTS[effectId].armorReduction || 0) * effect.stacks,
+    0
+  );
+}
+
+// Remove all effects from a robot
+export function clearStatusEffects(robot) {
+  robot.statusEffects = {};
+  updateStatusIcons(robot);
+}
+
+// Show a small colored icon above the health bar for each active effect
+function updateStatusIcons(robot) {
+  if (!robot.healthBarGroup) return;
+
+  if (robot.statusIcons) {
+    robot.healthBarGroup.remove(robot.statusIcons);
+  }
+
+  const icons = new THREE.Group();
+  const effectIds = Object.keys(robot.statusEffects || {});
+  effectIds.forEach((effectId, index) => {
+    const icon = new THREE.Mesh(
+      new THREE.PlaneGeometry(0.18, 0.18),
+      new THREE.MeshBasicMaterial({
+        color: STATUS_EFFECTS[effectId].color,
+        side: THREE.DoubleSide,
+      })
+    );
+    icon.position.set((index - (effectIds.length - 1) / 2) * 0.25, 0.25, 0.01);
+    icons.add(icon);
+  });
+
+  robot.statusIcons = icons;
+  robot.healthBarGroup.add(icons);
+}
@@ -0,0 +1,372 @@
+// towerConfig.js - Configuration for defense tower types
+import { STATUS_EFFECTS } from "./statusEffects";
+import { getCoreTraits } from "./coreConfig";
+
+const TOWER_TYPES = [
+  {
+    id: "basic",
+    name: "Blaster",
+    color: 0xaaaaaa,
+    range: 8,
+    damage: 5,
+    rate: 1, // Shots per second
+    health: 60,
+    description: "Reliable all-round turret",
+  },
+  {
+    id: "cannon",
+    name: "Cannon",
+    color: 0x880000,
+    range: 6,
+    damage: 15,
+    rate: 0.5,
+    health: 80,
+    description: "Slow, heavy shells that set ground targets burning",
+    statusEffect: "burn", // Applied to enemies hit
+    canTargetAir: false, // Shells can't be aimed at drones
+  },
+  {
+    id: "laser",
+    name: "Laser",
+    color: 0x00ff00,
+    range: 12,
+    damage: 3,
+    rate: 2,
+    health: 50,
+    description: "Long-range beam that ramps up and melts armor",
+    statusEffect: "shred",
+    antiAirMultiplier: 1.5, // Extra damage to flying robots
+  },
+  {
+    id: "tesla",
+    name: "Tesla Coil",
+    color: 0x8800ff,
+    range: 4,
+    damage: 10,
+    rate: 1.5,
+    health: 70,
+    description: "Short-range lightning arcs that stun",
+    statusEffect: "stun",
+    antiAirMultiplier: 1.5,
+  },
+];
+
+// Bonus granted by each AI core value, scaled by core power
+export const CORE_BONUSES = {
+  speed: {
+    stat: "fireRate",
+    perPower: 0.2,
+    label: "Fire rate",
+    statusEffect: "slow", // Shots also slow enemies
+  },
+  power: {
+    stat: "damage",
+    perPower: 0.3,
+    label: "Damage",
+    statusEffect: "shred",
+  },
+  range: { stat: "range", perPower: 0.25, label: "Range" },
+  healing: { healPerPower: 2, healInterval: 3, label: "Repair" },
+};
+
+// Towers within this distance of each other are linked and share synergies
+export const SYNERGY_LINK_RADIUS = 7;
+
+// Bonus a tower's core gives each tower linked to it, scaled by core power.
+// Healing cores already repair their neighbors, so they add nothing here.
+export const CORE_SYNERGIES = {
+  speed: { stat: "fireRate", perPower: 0.05, label: "Fire rate" },
+  power: { stat: "damage", perPower: 0.05, label: "Damage" },
+  range: { stat: "range", perPower: 0.04, label: "Range" },
+};
+
+// Effects formed between two linked towers of the given types
+const TYPE_SYNERGIES = [
+  {
+    id: "arcField",
+    name: "Arc Field",
+    towerTypes: ["tesla", "tesla"],
+    color: 0x8800ff,
+    damagePerSecond: 6, // Dealt to enemies passing between the coils
+    tickInterval: 0.5, // Seconds between zaps
+    width: 1, // How close to the arc line an enemy has to be
+  },
+];
+
+// Upgrade paths for each tower type, bought in order with specific scrap types.
+// Stat multipliers stack across tiers; effects from later tiers override earlier ones.
+const TOWER_UPGRADES = {
+  basic: [
+    {
+      name: "Rapid Fire",
+      description: "Fire rate +30%",
+      cost: { metal: 5 },
+      multipliers: { fireRate: 1.3 },
+    },
+    {
+      name: "Hardened Rounds",
+      description: "Damage +40%",
+      cost: { metal: 8, electronic: 4 },
+      multipliers: { damage: 1.4 },
+    },
+    {
+      name: "Targeting Array",
+      description: "Range +25%, damage +20%",
+      cost: { electronic: 10, energy: 6 },
+      multipliers: { range: 1.25, damage: 1.2 },
+    },
+  ],
+  cannon: [
+    {
+      name: "Heavy Shells",
+      description: "Damage +30%",
+      cost: { metal: 8 },
+      multipliers: { damage: 1.3 },
+    },
+    {
+      name: "Splash Radius",
+      description: "Shell splash radius 2m → 3.5m",
+      cost: { metal: 10, energy: 5 },
+      effects: { splashRadius: 3.5 },
+    },
+    {
+      name: "Cluster Shells",
+      description: "Shells scatter 3 bomblets around the impact",
+      cost: { metal: 12, electronic: 8, energy: 8 },
+      effects: { clusterCount: 3 },
+    },
+  ],
+  laser: [
+    {
+      name: "Focused Lens",
+      description: "Damage +40%",
+      cost: { electronic: 6 },
+      multipliers: { damage: 1.4 },
+    },
+    {
+      name: "Overclocked Emitter",
+      description: "Fire rate +40%",
+      cost: { electronic: 10, energy: 6 },
+      multipliers: { fireRate: 1.4 },
+    },
+    {
+      name: "Prism Array",
+      description: "Range +30%, damage +30%",
+      cost: { electronic: 14, energy: 10 },
+      multipliers: { range: 1.3, damage: 1.3 },
+    },
+  ],
+  tesla: [
+    {
+      name: "Capacitor Bank",
+      description: "Damage +30%",
+      cost: { energy: 6 },
+      multipliers: { damage: 1.3 },
+    },
+    {
+      name: "Chain Lightning",
+      description: "Arcs jump to 3 enemies instead of 1",
+      cost: { energy: 10, electronic: 6 },
+      effects: { chainCount: 3 },
+    },
+    {
+      name: "Storm Coil",
+      description: "Range +30%, arcs jump to 5 enemies",
+      cost: { energy: 14, metal: 8 },
+      multipliers: { range: 1.3 },
+      effects: { chainCount: 5 },
+    },
+  ],
+};
+
+// Selling a tower returns part of the scrap spent on its upgrades. Placing a
+// tower is free, so a tower that was never upgraded sells for nothing.
+const SELL_UPGRADE_REFUND_RATE = 0.5;
+
+// How a tower picks which enemy in range to shoot
+export const TARGET_MODES = [
+  { id: "closest", name: "Closest" },
+  { id: "first", name: "First" }, // Furthest along the path
+  { id: "last", name: "Last" },
+  { id: "strongest", name: "Strongest" }, // Highest health
+  { id: "weakest", name: "Weakest" },
+];
+
+export const DEFAULT_TARGET_MODE = "closest";
+
+// Get all tower types
+export function getTowerTypes() {
+  return TOWER_TYPES;
+}
+
+// Get a specific tower type by ID
+export function getTowerType(id) {
+  return TOWER_TYPES.find((type) => type.id === id);
+}
+
+// Check whether a tower type can shoot at flying robots
+export function canTargetAir(towerTypeId) {
+  const towerType = getTowerType(towerTypeId);
+  return !towerType || towerType.canTargetAir !== false;
+}
+
+// Damage multiplier a tower type deals to flying robots
+export function getAntiAirMultiplier(towerTypeId) {
+  const towerType = getTowerType(towerTypeId);
+  return (towerType && towerType.antiAirMultiplier) || 1;
+}
+
+// Get the upgrade path for a tower type
+export function getTowerUpgrades(towerTypeId) {
+  return TOWER_UPGRADES[towerTypeId] || [];
+}
+
+// Get the next upgrade a tower can buy, or null when fully upgraded
+export function getNextUpgrade(towerTypeId, upgradeLevel = 0) {
+  return getTowerUpgrades(towerTypeId)[upgradeLevel] || null;
+}
+
+// Scrap returned when selling a tower at the given upgrade level
+export function getSellRefund(towerTypeId, upgradeLevel = 0) {
+  const spent = {};
+  getTowerUpgrades(towerTypeId)
+    .slice(0, upgradeLevel)
+    .forEach((upgrade) => {
+      Object.entries(upgrade.cost).forEach(([scrapType, amount]) => {
+        spent[scrapType] = (spent[scrapType] || 0) + amount;
+      });
+    });
+
+  const refund = {};
+  Object.entries(spent).forEach(([scrapType, amount]) => {
+    const returned = Math.floor(amount * SELL_UPGRADE_REFUND_RATE);
+    if (returned > 0) refund[scrapType] = returned;
+  });
+
+  return refund;
+}
+
+// Stat multipliers a tower gets from the cores of the towers linked to it.
+// Bonuses of the same stat add up before multiplying.
+export function getSynergyMultipliers(linkedCores) {
+  const multipliers = {};
+  linkedCores.forEach((core) => {
+    const synergy = core && CORE_SYNERGIES[core.value];
+    if (!synergy) return;
+
+    multipliers[synergy.stat] =
+      (multipliers[synergy.stat] || 1) + synergy.perPower * core.power;
+  });
+  return multipliers;
+}
+
+// Human readable summary of synergy multipliers, e.g. "Fire rate +10%"
+export function getSynergyDescription(multipliers) {
+  const parts = Object.values(CORE_SYNERGIES)
+    .filter((synergy) => multipliers[synergy.stat])
+    .map(
+      (synergy) =>
+        `${synergy.label} +${Math.round(
+          (multipliers[synergy.stat] - 1) * 100
+        )}%`
+    );
+  return parts.length > 0 ? parts.join(", ") : "No bonus";
+}
+
+// Get the effect two linked tower types form together, or null
+export function getTypeSynergy(towerTypeA, towerTypeB) {
+  return (
+    TYPE_SYNERGIES.find(
+      ({ towerTypes: [first, second] }) =>
+        (first === towerTypeA && second === towerTypeB) ||
+        (first === towerTypeB && second === towerTypeA)
+    ) || null
+  );
+}
+
+// Calculate tower stats for a tower type with a core, upgrades and any
+// synergy multipliers from linked towers
+export function getTowerStats(
+  towerTypeId,
+  core,
+  upgradeLevel = 0,
+  synergyMultipliers = {}
+) {
+  const towerType = getTowerType(towerTypeId) || TOWER_TYPES[0];
+  const stats = {
+    range: towerType.range,
+    damage: towerType.damage,
+    fireRate: towerType.rate,
+    healAmount: 0,
+    healInterval: 0, // Seconds between repairs
+    effects: {},
+    statusEffects: [], // Status effect IDs applied on hit
+  };
+
+  if (towerType.statusEffect) {
+    stats.statusEffects.push(towerType.statusEffect);
+  }
+
+  const bonus = core && CORE_BONUSES[core.value];
+  if (bonus && bonus.stat) {
+    stats[bonus.stat] *= 1 + bonus.perPower * core.power;
+  } else if (bonus && bonus.healPerPower) {
+    stats.healAmount = bonus.healPerPower * core.power;
+    stats.healInterval = bonus.healInterval;
+  }
+  if (
+    bonus &&
+    bonus.statusEffect &&
+    !stats.statusEffects.includes(bonus.statusEffect)
+  ) {
+    stats.statusEffects.push(bonus.statusEffect);
+  }
+
+  // Secondary traits rolled on the core
+  getCoreTraits(core).forEach((trait) => {
+    Object.entries(trait.multipliers || {}).forEach(([stat, factor]) => {
+      stats[stat] *= factor;
+    });
+    Object.assign(stats.effects, trait.effects);
+    if (
+      trait.statusEffect &&
+      !stats.statusEffects.includes(trait.statusEffect)
+    ) {
+      stats.statusEffects.push(trait.statusEffect);
+    }
+  });
+
+  getTowerUpgrades(towerType.id)
+    .slice(0, upgradeLevel)
+    .forEach((upgrade) => {
+      Object.entries(upgrade.multipliers || {}).forEach(([stat, factor]) => {
+        stats[stat] *= factor;
+      });
+      Object.assign(stats.effects, upgrade.effects);
+    });
+
+  Object.entries(synergyMultipliers).forEach(([stat, factor]) => {
+    stats[stat] *= factor;
+  });
+
+  return stats;
+}
+
+// Human readable summary of what a core adds to a tower
+export function getCoreBonusDescription(core) {
+  const bonus = core && CORE_BONUSES[core.value];
+  if (!bonus) return "No bonus";
+
+  if (bonus.stat) {
+    const effectNote = bonus.statusEffect
+      ? `, shots apply ${STATUS_EFFECTS[bonus.statusEffect].name}`
+      : "";
+    return `${bonus.label} +${Math.round(
+      bonus.perPower * core.power * 100
+    )}%${effectNote}`;
+  }
+
+  return `${bonus.label} ${bonus.healPerPower * core.power} health every ${
+    bonus.healInterval
+  }s to nearby towers and the base`;
+}
@@ -0,0 +1,547 @@
+// towerProjectileSystem.js - Tower shots that travel and deal damage on impact
+
+import * as THREE from "three";
+import audioManager from "./audioManager";
+import robotSpawner from "./robots";
+import { getDefenseBehavior } from "./robotConfig";
+import { applyStatusEffect } from "./statusEffects";
+import { getAntiAirMultiplier } from "./towerConfig";
+
+// Track all active tower projectiles and laser beams
+let towerProjectiles = [];
+let laserBeams = new Map(); // Tower -> active beam
+
+// Projectile configuration by tower type
+const TOWER_PROJECTILE_CONFIG = {
+  basic: {
+    color: 0xffff00,
+    speed: 25,
+    size: 0.15,
+    hitRadius: 0.8, // Bolts hit the first enemy they pass this close to
+    lifetime: 1.5, // Seconds before a bolt that hit nothing disappears
+  },
+  cannon: {
+    color: 0xff4500,
+    speed: 12,
+    size: 0.25,
+    arcHeight: 2, // Shells lob towards where the target will be
+    splashRadius: 2,
+    splashFalloff: 0.5, // Damage share at the edge of the splash
+    clusterRadius: 1.5,
+    clusterDamage: 0.3,
+  },
+  tesla: {
+    color: 0x8800ff,
+    chainCount: 1, // Extra enemies an arc jumps to
+    chainRange: 4,
+    chainFalloff: 0.7, // Each jump keeps this share of the damage
+  },
+  laser: {
+    color: 0x00ff00,
+    rampTime: 2, // Seconds on one target to reach full power
+    maxRamp: 3, // Damage multiplier at full power
+  },
+};
+
+// Get living enemies within a radius of a point
+export function getEnemiesNear(position, radius, exclude = []) {
+  return robotSpawner
+    .getAllRobots()
+    .filter(
+      (enemy) =>
+        enemy.isEnemy &&
+        enemy.parent &&
+        !exclude.includes(enemy) &&
+        enemy.position.distanceTo(position) < radius
+    );
+}
+
+// Damage an enemy and run its onDestroy callback if it dies.
+// The source tower type lets armored robots resist some weapons and
+// anti-air towers hit drones harder; any status effects are applied to
+// enemies that survive the hit.
+export function damageEnemy(
+  enemy,
+  damage,
+  scene,
+  sourceType,
+  statusEffects = []
+) {
+  const { resistances } = getDefenseBehavior(enemy.typeId);
+  if (resistances && resistances[sourceType] !== undefined) {
+    damage *= resistances[sourceType];
+  }
+  if (enemy.isFlying) {
+    damage *= getAntiAirMultiplier(sourceType);
+  }
+
+  const destroyed = robotSpawner.damageRobot(enemy, damage, scene);
+
+  if (destroyed && enemy.onDestroy) {
+    enemy.onDestroy();
+  } else if (!destroyed) {
+    statusEffects.forEach((effectId) => applyStatusEffect(enemy, effectId));
+  }
+
+  return destroyed;
+}
+
+// Damage an enemy with a tower's hit, remembering the tower so a kill can be
+// credited to the core installed in it
+function damageEnemyFromTower(tower, enemy, damage, scene, statusEffects) {
+  enemy.lastHitBy = tower;
+  return damageEnemy(enemy, damage, scene, tower.type, statusEffects);
+}
+
+// Predict where a moving enemy will be when a projectile reaches it
+function getLeadPosition(start, target, speed) {
+  const aim = target.position.clone();
+  const velocity = target.velocity || new THREE.Vector3();
+
+  // Two refinement passes are plenty for the speeds involved
+  for (let i = 0; i < 2; i++) {
+    const travelTime = start.distanceTo(aim) / speed;
+    aim.copy(target.position).addScaledVector(velocity, travelTime);
+  }
+
+  return aim;
+}
+
+// Get the world position of a tower's barrel tip
+function getBarrelPosition(tower) {
+  return new THREE.Vector3().setFromMatrixPosition(
+    tower.turretGroup.children[1].matrixWorld
+  );
+}
+
+// Fire a tower at a target. Lasers use updateLaserBeam instead.
+export function fireTowerProjectile(tower, target, scene) {
+  switch (tower.type) {
+    case "cannon":
+      audioManager.playTowerSound("cannon");
+      createShell(tower, target, scene);
+      break;
+    case "tesla":
+      audioManager.playTowerSound("tesla");
+      fireTeslaArc(tower, target, scene);
+      break;
+    default:
+      audioManager.playTowerSound("shoot");
+      createBolt(tower, target, scene);
+  }
+}
+
+// Create a glowing projectile mesh
+function createProjectileMesh(config) {
+  const mesh = new THREE.Mesh(
+    new THREE.SphereGeometry(config.size, 8, 8),
+    new THREE.MeshBasicMaterial({ color: config.color })
+  );
+  mesh.isTowerProjectile = true;
+  return mesh;
+}
+
+// Basic towers fire fast bolts that hit whatever they pass through
+function createBolt(tower, target, scene) {
+  const config = TOWER_PROJECTILE_CONFIG.basic;
+  const start = getBarrelPosition(tower);
+  const aim = getLeadPosition(start, target, config.speed);
+  aim.y = target.position.y;
+
+  const bolt = createProjectileMesh(config);
+  bolt.position.copy(start);
+  Object.assign(bolt, {
+    kind: "bolt",
+    config,
+    tower,
+    damage: tower.damage,
+    statusEffects: tower.statusEffects,
+    velocity: aim.sub(start).normalize().multiplyScalar(config.speed),
+    elapsedTime: 0,
+  });
+
+  scene.add(bolt);
+  towerProjectiles.push(bolt);
+}
+
+// Cannons lob shells at the predicted position; they explode where they land
+function createShell(tower, target, scene) {
+  const config = TOWER_PROJECTILE_CONFIG.cannon;
+  const start = getBarrelPosition(tower);
+  const landing = getLeadPosition(start, target, config.speed);
+  landing.y = target.position.y;
+
+  const shell = createProjectileMesh(config);
+  shell.position.copy(start);
+  Object.assign(shell, {
+    kind: "shell",
+    config,
+    tower,
+    damage: tower.damage,
+    effects: { ...tower.effects },
+    statusEffects: tower.statusEffects,
+    start,
+    landing,
+    flightTime: Math.max(0.1, start.distanceTo(landing) / config.speed),
+    elapsedTime: 0,
+  });
+
+  scene.add(shell);
+  towerProjectiles.push(shell);
+}
+
+// Tesla arcs hit instantly and jump between nearby enemies with falloff
+function fireTeslaArc(tower, target, scene) {
+  const config = TOWER_PROJECTILE_CONFIG.tesla;
+  const chainCount =
+    ((tower.effects && tower.effects.chainCount) || config.chainCount) +
+    getChainLightningJumps(tower.effects);
+
+  createLightning(
+    getBarrelPosition(tower),
+    target.position,
+    config.color,
+    scene
+  );
+
+  const from = target.position.clone();
+  damageEnemyFromTower(tower, target, tower.damage, scene, tower.statusEffects);
+  chainLightning(tower, from, tower.damage, chainCount, [target], scene);
+}
+
+// Extra jumps from a chain lightning core trait
+function getChainLightningJumps(effects) {
+  return (effects && effects.chainLightning) || 0;
+}
+
+// Jump lightning from a point to the nearest enemies not hit yet, keeping
+// less of the damage with every jump
+function chainLightning(tower, from, damage, jumps, hit, scene) {
+  const config = TOWER_PROJECTILE_CONFIG.tesla;
+
+  for (let i = 0; i < jumps; i++) {
+    const candidates = getEnemiesNear(from, config.chainRange, hit);
+    if (candidates.length === 0) break;
+
+    candidates.sort(
+      (a, b) => a.position.distanceTo(from) - b.position.distanceTo(from)
+    );
+    const next = candidates[0];
+    const nextPosition = next.position.clone();
+
+    damage *= config.chainFalloff;
+    createLightning(from, nextPosition, config.color, scene);
+    damageEnemyFromTower(tower, next, damage, scene, tower.statusEffects);
+
+    hit.push(next);
+    from = nextPosition;
+  }
+}
+
+// Draw a jagged lightning bolt between two points
+function createLightning(from, to, color, scene) {
+  const numArcs = 5;
+  const points = [from.clone()];
+
+  for (let i = 1; i < numArcs; i++) {
+    const pos = new THREE.Vector3().lerpVectors(from, to, i / numArcs);
+
+    // Add random offset
+    pos.x += (Math.random() - 0.5) * 1;
+    pos.y += (Math.random() - 0.5) * 1;
+    pos.z += (Math.random() - 0.5) * 1;
+
+    points.push(pos);
+  }
+  points.push(to.clone());
+
+  const lightning = new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints(points),
+    new THREE.LineBasicMaterial({ color })
+  );
+  scene.add(lightning);
+
+  // Remove after short delay
+  setTimeout(() => scene.remove(lightning), 100);
+}
+
+// Keep a laser tower's beam on its target, ramping up damage over time
+export function updateLaserBeam(tower, target, delta, scene) {
+  const config = TOWER_PROJECTILE_CONFIG.laser;
+  let beam = laserBeams.get(tower);
+
+  if (!beam) {
+    const mesh = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.05, 0.05, 1, 8),
+      new THREE.MeshBasicMaterial({
+        color: config.color,
+        transparent: true,
+        opacity: 0.5,
+      })
+    );
+    scene.add(mesh);
+    beam = {
+      mesh,
+      target: null,
+      heldTime: 0,
+      soundTimer: 0,
+      damageTimer: 0,
+      statusPending: false,
+    };
+    laserBeams.set(tower, beam);
+  }
+
+  // Switching targets resets the ramp
+  if (beam.target !== target) {
+    beam.target = target;
+    beam.heldTime = 0;
+  }
+  beam.heldTime += delta;
+
+  const ramp = Math.min(1, beam.heldTime / config.rampTime);
+  const multiplier = 1 + (config.maxRamp - 1) * ramp;
+
+  // Stretch the beam from the barrel to the target
+  const start = getBarrelPosition(tower);
+  const end = target.position.clone();
+  beam.mesh.scale.set(1 + ramp * 2, start.distanceTo(end), 1 + ramp * 2);
+  beam.mesh.position.addVectors(start, end).multiplyScalar(0.5);
+  beam.mesh.lookAt(end);
+  beam.mesh.rotateX(Math.PI / 2);
+  beam.mesh.material.opacity = 0.5 + ramp * 0.4;
+
+  // Hum while firing; status effects go out with the next damage tick after
+  // each once-a-second pulse
+  beam.soundTimer -= delta;
+  const pulse = beam.soundTimer <= 0;
+  if (pulse) {
+    audioManager.playTowerSound("laser");
+    beam.soundTimer = 1;
+    beam.statusPending = true;
+  }
+
+  // Chain lightning jumps off the target on the same pulse
+  const jumps = getChainLightningJumps(tower.effects);
+  if (pulse && jumps > 0) {
+    chainLightning(tower, end, tower.damage, jumps, [target], scene);
+  }
+
+  // Damage ticks at the tower's fire rate, so the beam deals its damage per
+  // second without a hit flash on every frame
+  beam.damageTimer -= delta;
+  if (beam.damageTimer <= 0) {
+    beam.damageTimer = 1 / tower.fireRate;
+    damageEnemyFromTower(
+      tower,
+      target,
+      tower.damage * multiplier,
+      scene,
+      beam.statusPending ? tower.statusEffects : []
+    );
+    beam.statusPending = false;
+  }
+}
+
+// Turn off a laser tower's beam
+export function stopLaserBeam(tower, scene) {
+  const beam = laserBeams.get(tower);
+  if (!beam) return;
+
+  scene.remove(beam.mesh);
+  laserBeams.delete(tower);
+}
+
+// Resolve a shell landing: splash with falloff, then any cluster bomblets
+function explodeShell(shell, scene) {
+  const { config, damage, effects, statusEffects, landing } = shell;
+  const splashRadius = effects.splashRadius || config.splashRadius;
+
+  // Shells burst on the ground, below any drones
+  const groundEnemiesNear = (position, radius) =>
+    getEnemiesNear(position, radius).filter((enemy) => !enemy.isFlying);
+
+  createExplosion(landing, scene);
+  const splashed = groundEnemiesNear(landing, splashRadius);
+  splashed.forEach((enemy) => {
+    const falloff =
+      1 -
+      (1 - config.splashFalloff) *
+        (enemy.position.distanceTo(landing) / splashRadius);
+    damageEnemyFromTower(
+      shell.tower,
+      enemy,
+      damage * falloff,
+      scene,
+      statusEffects
+    );
+  });
+
+  // Chain lightning jumps from the blast to enemies it missed
+  const jumps = getChainLightningJumps(effects);
+  if (jumps > 0) {
+    chainLightning(shell.tower, landing, damage, jumps, splashed, scene);
+  }
+
+  // Cluster bomblets scatter around the impact point
+  for (let i = 0; i < (effects.clusterCount || 0); i++) {
+    const angle = Math.random() * Math.PI * 2;
+    const bombletPosition = landing.clone();
+    bombletPosition.x += Math.cos(angle) * splashRadius;
+    bombletPosition.z += Math.sin(angle) * splashRadius;
+
+    createExplosion(bombletPosition, scene);
+    groundEnemiesNear(bombletPosition, config.clusterRadius).forEach((enemy) =>
+      damageEnemyFromTower(
+        shell.tower,
+        enemy,
+        damage * config.clusterDamage,
+        scene,
+        statusEffects
+      )
+    );
+  }
+}
+
+// Move tower projectiles and resolve their hits and misses
+export function updateTowerProjectiles(delta, scene) {
+  for (let i = towerProjectiles.length - 1; i >= 0; i--) {
+    const projectile = towerProjectiles[i];
+    projectile.elapsedTime += delta;
+
+    let finished = false;
+
+    if (projectile.kind === "shell") {
+      // Follow an arc from the barrel to the landing point
+      const t = Math.min(1, projectile.elapsedTime / projectile.flightTime);
+      projectile.position.lerpVectors(projectile.start, projectile.landing, t);
+      projectile.position.y +=
+        Math.sin(t * Math.PI) * projectile.config.arcHeight;
+
+      if (t >= 1) {
+        explodeShell(projectile, scene);
+        finished = true;
+      }
+    } else {
+      projectile.position.addScaledVector(projectile.velocity, delta);
+
+      // Bolts hit the first enemy they pass close to
+      const [hitEnemy] = getEnemiesNear(
+        projectile.position,
+        projectile.config.hitRadius
+      );
+      if (hitEnemy) {
+        audioManager.playRobotSound("hit");
+        const jumps = getChainLightningJumps(projectile.tower.effects);
+        if (jumps > 0) {
+          chainLightning(
+            projectile.tower,
+            hitEnemy.position.clone(),
+            projectile.damage,
+            jumps,
+            [hitEnemy],
+            scene
+          );
+        }
+        damageEnemyFromTower(
+          projectile.tower,
+          hitEnemy,
+          projectile.damage,
+          scene,
+          projectile.statusEffects
+        );
+        finished = true;
+      } else if (projectile.elapsedTime >= projectile.config.lifetime) {
+        finished = true; // Missed
+      }
+    }
+
+    if (finished) {
+      scene.remove(projectile);
+      towerProjectiles.splice(i, 1);
+    }
+  }
+
+  // Drop beams whose tower has been removed
+  laserBeams.forEach((beam, tower) => {
+    if (!tower.parent) {
+      stopLaserBeam(tower, scene);
+    }
+  });
+}
+
+// Clear all tower projectiles and beams
+export function clearTowerProjectiles(scene) {
+  towerProjectiles.forEach((projectile) => scene.remove(projectile));
+  towerProjectiles = [];
+
+  laserBeams.forEach((beam) => scene.remove(beam.mesh));
+  laserBeams = new Map();
+}
+
+// Create explosion effect
+export function createExplosion(position, scene) {
+  // Create particle group
+  const particleCount = 20;
+  const particleGroup = new THREE.Group();
+
+  // Create explosion particles
+  for (let i = 0; i < particleCount; i++) {
+    const size = 0.1 + Math.random() * 0.2;
+    const geometry = new THREE.SphereGeometry(size, 8, 8);
+
+    // Random color: orange, red, yellow
+    const colors = [0xff4500, 0xff0000, 0xffaa00];
+    const material = new THREE.MeshBasicMaterial({
+      color: colors[Math.floor(Math.random() * colors.length)],
+      transparent: true,
+    });
+
+    const particle = new THREE.Mesh(geometry, material);
+
+    // Set random direction
+    const speed = 0.05 + Math.random() * 0.1;
+    const angle = Math.random() * Math.PI * 2;
+    const elevation = Math.random() * Math.PI - Math.PI / 2;
+
+    particle.userData.velocity = new THREE.Vector3(
+      speed * Math.cos(angle) * Math.cos(elevation),
+      speed * Math.sin(elevation) + 0.05, // Add upward boost
+      speed * Math.sin(angle) * Math.cos(elevation)
+    );
+
+    // Set initial position
+    particle.position.copy(position);
+
+    particleGroup.add(particle);
+  }
+
+  scene.add(particleGroup);
+
+  // Animate the explosion
+  let lifetime = 0;
+  const maxLifetime = 30;
+
+  function animateExplosion() {
+    lifetime++;
+
+    // Update each particle
+    particleGroup.children.forEach((particle) => {
+      // Move particle
+      particle.position.add(particle.userData.velocity);
+
+      // Apply gravity
+      particle.userData.velocity.y -= 0.002;
+
+      // Fade out
+      particle.material.opacity = 1 - lifetime / maxLifetime;
+    });
+
+    if (lifetime < maxLifetime) {
+      requestAnimationFrame(animateExplosion);
+    } else {
+      scene.remove(particleGroup);
+    }
+  }
+
+  animateExplosion();
+}